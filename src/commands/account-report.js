@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const fs = require('fs');
+
+const program = require('commander');
+const ethers = require('ethers');
+const { green, cyan, red, gray, yellow } = require('chalk');
+const { formatEther, formatBytes32String } = require('ethers').utils;
+
+const { getContract } = require('../utils/getContract');
+const { setupProvider } = require('../utils/setupProvider');
+const { formatAmount } = require('../utils/formatAmount');
+const { serializeRaw } = require('../utils/statusReport');
+const { DEFAULT_ADDRESS_BOOK_FILE, getAddressLabeler } = require('../utils/addressLabels');
+
+// Address files can be a JSON array, or one address per line with # comments, i.e. a CSV with addresses first.
+function loadAddresses(addressesFile) {
+	if (!fs.existsSync(addressesFile)) throw new Error(`No addresses file at ${addressesFile}.`);
+
+	const content = fs.readFileSync(addressesFile, 'utf8');
+	if (content.trim().startsWith('[')) {
+		return JSON.parse(content);
+	}
+
+	return content
+		.split('\n')
+		.map(line => line.replace(/#.*/, '').split(',')[0].trim())
+		.filter(line => line !== '');
+}
+
+// Ratios are stored as debt over collateral, i.e. 0.125 for a 800% c-ratio.
+function formatCRatio(ratio) {
+	if (ratio.isZero()) return 'n/a';
+
+	return `${(100 / +formatEther(ratio)).toFixed(2)}%`;
+}
+
+function formatDuration(seconds) {
+	if (seconds <= 0) return 'ended, the fee period can be closed';
+
+	const days = Math.floor(seconds / 86400);
+	const hours = Math.floor((seconds % 86400) / 3600);
+	const minutes = Math.floor((seconds % 3600) / 60);
+
+	return `${days}d ${hours}h ${minutes}m`;
+}
+
+async function accountReport({
+	network,
+	useOvm,
+	providerUrl,
+	useFork,
+	deploymentPath,
+	addresses,
+	addressesFile,
+	block,
+	json,
+	addressBook,
+}) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	// Accept both -a 0x1 0x2 and -a 0x1,0x2
+	addresses = addresses ? addresses.join(',').split(',') : [];
+	if (addressesFile) {
+		addresses = addresses.concat(loadAddresses(addressesFile));
+	}
+
+	if (addresses.length === 0) throw new Error('Please specify addresses or an addresses file.');
+
+	for (const address of addresses) {
+		if (!ethers.utils.isAddress(address)) throw new Error(`Invalid address ${address}.`);
+	}
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	const blockOptions = { blockTag: block ? +block : 'latest' };
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const { provider } = setupProvider({ providerUrl });
+
+	const labelAddress = getAddressLabeler({ network, useOvm, deploymentPath, addressBookFile: addressBook });
+
+	const getReportContract = ({ contract, source }) =>
+		getContract({ contract, source, network, useOvm, provider, deploymentPath, silent: json });
+
+	const Synthetix = getReportContract({
+		contract: 'Synthetix',
+		source: useOvm ? 'MintableSynthetix' : 'Synthetix',
+	});
+	const RewardEscrowV2 = getReportContract({ contract: 'RewardEscrowV2' });
+	const FeePool = getReportContract({ contract: 'FeePool' });
+	const SystemSettings = getReportContract({ contract: 'SystemSettings' });
+
+	// Shared by all accounts
+	const { number, timestamp } = await provider.getBlock(blockOptions.blockTag);
+	const [issuanceRatio, feePeriodDuration, currentFeePeriod] = await Promise.all([
+		SystemSettings.issuanceRatio(blockOptions),
+		FeePool.feePeriodDuration(blockOptions),
+		FeePool.recentFeePeriods(0, blockOptions),
+	]);
+	const feePeriodTimeLeft = +currentFeePeriod.startTime.toString() + +feePeriodDuration.toString() - timestamp;
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~ Accounts ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const sUSD = formatBytes32String('sUSD');
+
+	async function readAccount(address) {
+		const [
+			collateral,
+			balance,
+			transferable,
+			escrowed,
+			debtBalance,
+			collateralisationRatio,
+			maxIssuableSynths,
+			remainingIssuable,
+			feesAvailable,
+			isFeesClaimable,
+		] = await Promise.all([
+			Synthetix.collateral(address, blockOptions),
+			Synthetix.balanceOf(address, blockOptions),
+			Synthetix.transferableSynthetix(address, blockOptions),
+			RewardEscrowV2.balanceOf(address, blockOptions),
+			Synthetix.debtBalanceOf(address, sUSD, blockOptions),
+			Synthetix.collateralisationRatio(address, blockOptions),
+			Synthetix.maxIssuableSynths(address, blockOptions),
+			Synthetix.remainingIssuableSynths(address, blockOptions),
+			FeePool.feesAvailable(address, blockOptions),
+			FeePool.isFeesClaimable(address, blockOptions),
+		]);
+
+		// Burning down to the max issuable amount restores the target c-ratio
+		const burnToFixCRatio = debtBalance.gt(maxIssuableSynths)
+			? debtBalance.sub(maxIssuableSynths)
+			: ethers.constants.Zero;
+
+		return {
+			address,
+			collateral,
+			balance,
+			transferable,
+			escrowed,
+			debtBalance,
+			collateralisationRatio,
+			issuanceRatio,
+			maxIssuableSynths,
+			remainingIssuableSynths: remainingIssuable.maxIssuable,
+			burnToFixCRatio,
+			feesAvailable: feesAvailable[0],
+			rewardsAvailable: feesAvailable[1],
+			isFeesClaimable,
+			feePeriodTimeLeft,
+		};
+	}
+
+	const accounts = [];
+	for (const address of addresses) {
+		accounts.push(await readAccount(address));
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Output ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (json) {
+		const report = { network, useOvm, block: { number, timestamp }, accounts: serializeRaw(accounts) };
+		console.log(JSON.stringify(report, null, 2));
+
+		return;
+	}
+
+	const logItem = (itemName, itemValue, color = undefined) => {
+		const line = `    ${cyan(`* ${itemName}:`)} ${itemValue}`;
+
+		console.log(color ? color(line) : line);
+	};
+
+	console.log(gray(`  > Block ${number} (${new Date(timestamp * 1000).toISOString()})`));
+
+	for (const account of accounts) {
+		console.log(green(`\n=== ${labelAddress(account.address)}: ===`));
+
+		const belowTarget = account.burnToFixCRatio.gt(0);
+
+		logItem('Collateral', formatAmount(account.collateral, 'SNX'));
+		logItem('Wallet balance', formatAmount(account.balance, 'SNX'));
+		logItem('Transferable', formatAmount(account.transferable, 'SNX'));
+		logItem('Escrowed', formatAmount(account.escrowed, 'SNX'));
+		logItem('Debt', formatAmount(account.debtBalance, 'sUSD'));
+		logItem(
+			'C-ratio',
+			`${formatCRatio(account.collateralisationRatio)} (target ${formatCRatio(account.issuanceRatio)})`,
+			belowTarget ? red : undefined,
+		);
+		logItem('Max issuable', formatAmount(account.maxIssuableSynths, 'sUSD'));
+		logItem('Remaining issuable', formatAmount(account.remainingIssuableSynths, 'sUSD'));
+		logItem('Burn to fix c-ratio', formatAmount(account.burnToFixCRatio, 'sUSD'), belowTarget ? red : undefined);
+		logItem('Claimable fees', formatAmount(account.feesAvailable, 'sUSD'));
+		logItem('Claimable rewards', formatAmount(account.rewardsAvailable, 'SNX'));
+		logItem('Fees claimable', account.isFeesClaimable, account.isFeesClaimable ? undefined : yellow);
+		logItem('Fee period time left', formatDuration(account.feePeriodTimeLeft));
+	}
+}
+
+program
+	.description('Report the staking position of one or more accounts')
+	.option('-a, --addresses <values...>', 'Addresses of the accounts to report on')
+	.option('-b, --block <value>', 'Block number to report at')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-i, --addresses-file <value>', 'A file with addresses to report on, a JSON array or one address per line')
+	.option('-j, --json', 'Print the report as a JSON document with raw values', false)
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-r, --address-book <value>', 'A JSON file mapping addresses to labels', DEFAULT_ADDRESS_BOOK_FILE)
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.action(async (...args) => {
+		try {
+			await accountReport(...args);
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const program = require('commander');
+const { gray, red } = require('chalk');
+
+const { setupProvider } = require('../utils/setupProvider');
+const { getDeploymentData } = require('../utils/getContract');
+const { getLogDecoder } = require('../utils/decodeLog');
+const { runTx } = require('../utils/runTx');
+const { logReceipt, logError } = require('../utils/prettyLog');
+const { readTxFile, parseSignedTransaction, describeTransaction } = require('../utils/txFile');
+
+async function broadcastTx({ inFile, network, useOvm, providerUrl, useFork, deploymentPath }) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const data = readTxFile({ file: inFile, signed: true });
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const { provider } = setupProvider({ providerUrl });
+
+	// What is reviewed and checked is what gets sent
+	const parsed = parseSignedTransaction({ data });
+
+	const { chainId } = await provider.getNetwork();
+	if (`${chainId}` !== `${parsed.chainId}`) {
+		throw new Error(`Transaction was signed for chain ${parsed.chainId}, but the provider is on ${chainId}.`);
+	}
+
+	describeTransaction({ data }).map(line => console.log(gray(`  > ${line}`)));
+	console.log(gray(`  > signed by: ${parsed.from}`));
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~ Broadcast ~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	console.log(gray(`  > Sending transaction... ${parsed.hash}`));
+
+	let result;
+	try {
+		const tx = await provider.sendTransaction(data.signedTransaction);
+
+		result = await runTx({
+			tx,
+			provider,
+		});
+	} catch (error) {
+		result = { success: false, error };
+	}
+
+	if (result.success) {
+		const decodeLog = getLogDecoder({ deploymentData: getDeploymentData({ network, useOvm, deploymentPath }) });
+
+		logReceipt(result.receipt, undefined, decodeLog);
+	} else {
+		logError(result.error);
+
+		process.exitCode = 1;
+	}
+}
+
+program
+	.description('Broadcast a transaction signed with sign-tx and wait for its receipt')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-i, --in-file <value>', 'The path to the JSON file containing the signed transaction')
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.action(async (...args) => {
+		try {
+			await broadcastTx(...args);
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const program = require('commander');
+const ethers = require('ethers');
+const { gray, green, red } = require('chalk');
+
+const { setupProvider } = require('../utils/setupProvider');
+const { resolveCall, isViewFunction } = require('../utils/resolveCall');
+const { writeTxFile, serializeTransaction, buildTransaction, describeTransaction } = require('../utils/txFile');
+
+async function buildTx({
+	contract,
+	functionName,
+	inputs,
+	value,
+	from,
+	nonce,
+	outFile,
+	network,
+	useOvm,
+	providerUrl,
+	useFork,
+	gasPrice,
+	gasLimit,
+	deploymentPath,
+}) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (!contract) throw new Error('Please specify a contract.');
+	if (!functionName) throw new Error('Please specify a function.');
+	if (!from || !ethers.utils.isAddress(from)) throw new Error('Please specify a valid address to send from.');
+	if (!outFile) throw new Error('Please specify a path to an output JSON file.');
+
+	const args = inputs || [];
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const { provider } = setupProvider({ providerUrl });
+
+	const call = resolveCall({
+		contract,
+		functionName,
+		args,
+		value,
+		network,
+		useOvm,
+		deploymentPath,
+		signerOrProvider: provider,
+	});
+	console.log(gray(`  > ${contract} => ${call.target.address}`));
+
+	if (isViewFunction(call.abiItem)) {
+		throw new Error(`${call.functionSignature} is a view function, there is nothing to sign.`);
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Build ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (!gasLimit) console.log(gray('  > Estimating gas...'));
+	const transaction = await buildTransaction({ provider, call, from, nonce, gasPrice, gasLimit });
+
+	const data = {
+		from: ethers.utils.getAddress(from),
+		call: {
+			network,
+			useOvm,
+			contract,
+			signature: call.functionSignature,
+			args,
+		},
+		transaction: serializeTransaction(transaction),
+	};
+	writeTxFile({ file: outFile, data });
+
+	describeTransaction({ data }).map(line => console.log(gray(`    ${line}`)));
+	console.log(green(`Unsigned transaction written to ${outFile}`));
+}
+
+program
+	.description('Build an unsigned transaction for a contract call, to be signed offline with sign-tx')
+	.option('-c, --contract <value>', 'The contract to call')
+	.option('-e, --function-name <value>', 'The function to call, use the full signature for overloaded functions')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-g, --gas-price <value>', 'Gas price to set when performing transfers', 1)
+	.option('-i, --inputs <values...>', 'The arguments of the function, in the same syntax as interactive-ui')
+	.option('-l, --gas-limit <value>', 'Max gas to use, estimated if not specified')
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-o, --out-file <value>', 'The path to the JSON file where the unsigned transaction is written')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-r, --from <value>', 'The address that will sign the transaction')
+	.option('-s, --nonce <value>', 'The nonce to use, fetched from the network if not specified')
+	.option('-v, --value <value>', 'The amount of ETH to send, accepts units like 1.5 ether')
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.action(async (...args) => {
+		try {
+			await buildTx(...args);
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
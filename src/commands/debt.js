@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const program = require('commander');
+const ethers = require('ethers');
+const { green, cyan, red, gray, yellow } = require('chalk');
+const { formatEther, formatBytes32String, parseBytes32String } = require('ethers').utils;
+
+const { getContract, getDeploymentData } = require('../utils/getContract');
+const { setupProvider } = require('../utils/setupProvider');
+const { formatAmount } = require('../utils/formatAmount');
+const { serializeRaw } = require('../utils/statusReport');
+const { formatCsv } = require('../utils/csv');
+
+// Percentage of value in total, scaled up before dividing to keep 6 decimals of precision
+function getShare(value, total) {
+	return total.isZero() ? 0 : +value.mul(1e8).div(total).toString() / 1e6;
+}
+
+async function debt({ network, useOvm, providerUrl, useFork, deploymentPath, block, json, csv }) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (json && csv) throw new Error('Please choose either json or csv output.');
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	const blockOptions = { blockTag: block ? +block : 'latest' };
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const { provider } = setupProvider({ providerUrl });
+
+	const { targets } = getDeploymentData({ network, useOvm, deploymentPath });
+
+	const getDebtContract = ({ contract, source }) =>
+		getContract({ contract, source, network, useOvm, provider, deploymentPath, silent: json || csv });
+
+	const Issuer = getDebtContract({ contract: 'Issuer' });
+	const ExchangeRates = getDebtContract({ contract: 'ExchangeRates' });
+	const DebtCache = getDebtContract({
+		contract: 'DebtCache',
+		source: useOvm ? 'RealtimeDebtCache' : 'DebtCache',
+	});
+
+	const { number, timestamp } = await provider.getBlock(blockOptions.blockTag);
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Synths ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const sUSD = formatBytes32String('sUSD');
+
+	const currencyKeys = await Issuer.availableCurrencyKeys(blockOptions);
+
+	const synths = await Promise.all(
+		currencyKeys.map(async currencyKey => {
+			const currency = parseBytes32String(currencyKey);
+
+			const target = targets[`Synth${currency}`];
+			if (!target) throw new Error(`No deployment target named Synth${currency}.`);
+
+			const Synth = getDebtContract({ contract: `Synth${currency}`, source: target.source });
+
+			const totalSupply = await Synth.totalSupply(blockOptions);
+			const value = await ExchangeRates.effectiveValue(currencyKey, totalSupply, sUSD, blockOptions);
+
+			return { currency, totalSupply, value };
+		}),
+	);
+
+	const totalValue = synths.reduce((total, synth) => total.add(synth.value), ethers.constants.Zero);
+
+	for (const synth of synths) {
+		synth.share = getShare(synth.value, totalValue);
+	}
+
+	// Largest exposures first
+	synths.sort((a, b) => (b.value.gt(a.value) ? 1 : b.value.lt(a.value) ? -1 : 0));
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~ DebtCache ~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const [cacheInfo, currentDebt] = await Promise.all([
+		DebtCache.cacheInfo(blockOptions),
+		DebtCache.currentDebt(blockOptions),
+	]);
+
+	const debtCache = {
+		cachedDebt: cacheInfo.debt,
+		currentDebt: currentDebt.debt,
+		anyRateIsInvalid: currentDebt.anyRateIsInvalid,
+		cacheTimestamp: cacheInfo.timestamp,
+		isInvalid: cacheInfo.isInvalid,
+		isStale: cacheInfo.isStale,
+	};
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Output ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (json) {
+		const report = {
+			network,
+			useOvm,
+			block: { number, timestamp },
+			synths: serializeRaw(synths),
+			totalValue: serializeRaw(totalValue),
+			debtCache: serializeRaw(debtCache),
+		};
+		console.log(JSON.stringify(report, null, 2));
+
+		return;
+	}
+
+	if (csv) {
+		const rows = synths.map(synth => ({
+			block: number,
+			timestamp,
+			currency: synth.currency,
+			totalSupply: formatEther(synth.totalSupply),
+			value: formatEther(synth.value),
+			share: synth.share,
+		}));
+		process.stdout.write(
+			formatCsv({ columns: ['block', 'timestamp', 'currency', 'totalSupply', 'value', 'share'], rows }),
+		);
+
+		return;
+	}
+
+	const logItem = (itemName, itemValue, color = undefined) => {
+		const line = `  ${cyan(`* ${itemName}:`)} ${itemValue}`;
+
+		console.log(color ? color(line) : line);
+	};
+
+	console.log(gray(`  > Block ${number} (${new Date(timestamp * 1000).toISOString()})`));
+
+	console.log(green('\n=== Synths: ==='));
+
+	for (const synth of synths) {
+		const supply = formatAmount(synth.totalSupply, synth.currency);
+
+		logItem(synth.currency, `${supply} = ${formatAmount(synth.value, 'sUSD')} (${synth.share.toFixed(2)}%)`);
+	}
+	logItem('Total issued synths', formatAmount(totalValue, 'sUSD'));
+
+	console.log(green('\n=== DebtCache: ==='));
+
+	const cacheDelta = debtCache.currentDebt.sub(debtCache.cachedDebt);
+	const cacheAge = Math.floor((timestamp - +debtCache.cacheTimestamp.toString()) / 60);
+
+	logItem('Cached debt', formatAmount(debtCache.cachedDebt, 'sUSD'));
+	const cacheDeltaAmount = `${cacheDelta.gte(0) ? '+' : ''}${formatAmount(cacheDelta, 'sUSD')}`;
+	logItem('Fresh debt', `${formatAmount(debtCache.currentDebt, 'sUSD')} (${cacheDeltaAmount} since the cache update)`);
+	logItem(
+		'Last cache update',
+		`${new Date(debtCache.cacheTimestamp.toString() * 1000)} (${cacheAge} minutes ago)`,
+		debtCache.isStale ? yellow : undefined,
+	);
+	logItem('Cache invalid', debtCache.isInvalid, debtCache.isInvalid ? red : undefined);
+	logItem('Cache stale', debtCache.isStale, debtCache.isStale ? yellow : undefined);
+	logItem('Any rate invalid', debtCache.anyRateIsInvalid, debtCache.anyRateIsInvalid ? red : undefined);
+}
+
+program
+	.description('Show what the global debt pool is made of at a given block')
+	.option('-b, --block <value>', 'Block number to report at')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-j, --json', 'Print the report as a JSON document with raw values', false)
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.option('--csv', 'Print the synths as CSV, one line per synth', false)
+	.action(async (...args) => {
+		try {
+			await debt(...args);
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const http = require('http');
+
+const program = require('commander');
+const { formatEther } = require('ethers').utils;
+const { gray, red } = require('chalk');
+
+const { setupProvider } = require('../utils/setupProvider');
+const { getStatusReport, findItems } = require('../utils/statusReport');
+
+function escapeLabel(value) {
+	return `${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Renders metrics in the Prometheus text exposition format.
+function formatMetrics({ metrics, labels }) {
+	const lines = [];
+
+	for (const metric of metrics) {
+		lines.push(`# HELP ${metric.name} ${metric.help}`);
+		lines.push(`# TYPE ${metric.name} ${metric.type || 'gauge'}`);
+
+		for (const sample of metric.samples) {
+			const allLabels = { ...labels, ...sample.labels };
+			const labelString = Object.keys(allLabels)
+				.map(key => `${key}="${escapeLabel(allLabels[key])}"`)
+				.join(',');
+
+			lines.push(`${metric.name}{${labelString}} ${sample.value}`);
+		}
+	}
+
+	return `${lines.join('\n')}\n`;
+}
+
+function getReportMetrics(report) {
+	const item = (sectionName, name, group) =>
+		findItems({ report, sectionName, match: item => item.name === name && item.group === group })[0];
+
+	const metrics = [];
+	const addMetric = ({ name, help, samples }) => {
+		metrics.push({ name, help, samples: samples.filter(sample => sample.value !== undefined) });
+	};
+
+	const flag = found => (found ? +!!found.raw : undefined);
+	const ether = found => (found ? +formatEther(found.raw) : undefined);
+	const number = found => (found ? +found.raw : undefined);
+
+	addMetric({
+		name: 'synthetix_block_number',
+		help: 'Block the values were read at',
+		samples: [{ value: report.block.number }],
+	});
+	addMetric({
+		name: 'synthetix_block_timestamp_seconds',
+		help: 'Timestamp of the block the values were read at',
+		samples: [{ value: report.block.timestamp }],
+	});
+	addMetric({
+		name: 'synthetix_total_supply',
+		help: 'Total SNX supply',
+		samples: [{ value: ether(item('Synthetix', 'Synthetix.totalSupply')) }],
+	});
+	addMetric({
+		name: 'synthetix_any_rate_invalid',
+		help: 'Whether any synth or SNX rate is invalid',
+		samples: [{ value: flag(item('Synthetix', 'Synthetix.anySynthOrSNXRateIsInvalid')) }],
+	});
+	addMetric({
+		name: 'synthetix_debt_cache_invalid',
+		help: 'Whether the debt cache is invalid',
+		samples: [{ value: flag(item('DebtCache', 'DebtCache.info.isInvalid')) }],
+	});
+	addMetric({
+		name: 'synthetix_debt_cache_stale',
+		help: 'Whether the debt cache is stale',
+		samples: [{ value: flag(item('DebtCache', 'DebtCache.info.isStale')) }],
+	});
+	addMetric({
+		name: 'synthetix_mintable_supply',
+		help: 'SNX that can currently be minted by the supply schedule',
+		samples: [{ value: ether(item('SupplySchedule', 'SupplySchedule.mintableSupply')) }],
+	});
+
+	const feePeriodDuration = number(item('FeePool', 'FeePool.feePeriodDuration'));
+	const feePeriodStarts = [0, 1].map(idx => ({
+		labels: { period: idx },
+		value: number(item('FeePool', 'startTime', `feePeriod ${idx}`)),
+	}));
+
+	addMetric({
+		name: 'synthetix_fee_period_duration_seconds',
+		help: 'Duration of a fee period',
+		samples: [{ value: feePeriodDuration }],
+	});
+	addMetric({
+		name: 'synthetix_fee_period_start_timestamp_seconds',
+		help: 'Start time of the recent fee periods, 0 being the current one',
+		samples: feePeriodStarts,
+	});
+	addMetric({
+		name: 'synthetix_fee_period_remaining_seconds',
+		help: 'Seconds until the current fee period can be closed',
+		samples: [
+			{
+				value:
+					feePeriodStarts[0].value !== undefined && feePeriodDuration !== undefined
+						? feePeriodStarts[0].value + feePeriodDuration - report.block.timestamp
+						: undefined,
+			},
+		],
+	});
+	addMetric({
+		name: 'synthetix_rate_stale_period_seconds',
+		help: 'Age after which rates are considered stale',
+		samples: [{ value: number(item('SystemSettings', 'rateStalePeriod')) }],
+	});
+
+	const rates = findItems({ report, sectionName: 'ExchangeRates', match: item => item.name.match(/ rate$/) });
+	const rateSamples = getValue =>
+		rates.map(rate => ({ labels: { currency: rate.name.replace(/ rate$/, '') }, value: getValue(rate.raw) }));
+
+	addMetric({
+		name: 'synthetix_rate',
+		help: 'Exchange rate of a currency in USD',
+		samples: rateSamples(raw => +formatEther(raw.rate)),
+	});
+	addMetric({
+		name: 'synthetix_rate_age_seconds',
+		help: 'Seconds since a currency rate was last updated',
+		samples: rateSamples(raw => report.block.timestamp - +raw.lastRateUpdateTime),
+	});
+	addMetric({
+		name: 'synthetix_rate_invalid',
+		help: 'Whether a currency rate is invalid',
+		samples: rateSamples(raw => +raw.isInvalid),
+	});
+
+	return metrics;
+}
+
+async function exporter({ network, useOvm, providerUrl, useFork, deploymentPath, interval, listenPort }) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (!(+interval > 0)) throw new Error(`Invalid interval ${interval}.`);
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const { provider } = setupProvider({ providerUrl });
+
+	const labels = { network, ovm: !!useOvm };
+
+	const state = {
+		report: undefined,
+		refreshes: 0,
+		readErrors: 0,
+		lastRefresh: undefined,
+		lastRefreshDuration: undefined,
+	};
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~ Refresh ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	// Failed reads keep serving the previous values, which can be spotted with the last refresh time
+	async function refresh() {
+		const start = Date.now();
+
+		try {
+			state.report = await getStatusReport({ network, useOvm, provider, providerUrl, deploymentPath, silent: true });
+			state.lastRefresh = Math.floor(Date.now() / 1000);
+			state.lastRefreshDuration = (Date.now() - start) / 1000;
+		} catch (err) {
+			state.readErrors++;
+			console.error(red(`  > Failed to read the status: ${err.message}`));
+		}
+
+		state.refreshes++;
+
+		setTimeout(refresh, interval * 1000);
+	}
+
+	function getMetrics() {
+		const metrics = state.report ? getReportMetrics(state.report) : [];
+
+		metrics.push(
+			{
+				name: 'synthetix_exporter_refreshes_total',
+				help: 'Number of attempts at reading the status',
+				type: 'counter',
+				samples: [{ value: state.refreshes }],
+			},
+			{
+				name: 'synthetix_exporter_read_errors_total',
+				help: 'Number of failed attempts at reading the status',
+				type: 'counter',
+				samples: [{ value: state.readErrors }],
+			},
+		);
+
+		if (state.lastRefresh) {
+			metrics.push(
+				{
+					name: 'synthetix_exporter_last_refresh_timestamp_seconds',
+					help: 'Time of the last successful read',
+					samples: [{ value: state.lastRefresh }],
+				},
+				{
+					name: 'synthetix_exporter_refresh_duration_seconds',
+					help: 'Duration of the last successful read',
+					samples: [{ value: state.lastRefreshDuration }],
+				},
+			);
+		}
+
+		return formatMetrics({ metrics, labels });
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Serve ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	await refresh();
+
+	const server = http.createServer((req, res) => {
+		if (req.method === 'GET' && req.url === '/metrics') {
+			res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+			res.end(getMetrics());
+		} else {
+			res.writeHead(404);
+			res.end();
+		}
+	});
+
+	server.listen(listenPort, () => {
+		console.log(gray(`Serving metrics on http://localhost:${listenPort}/metrics, refreshing every ${interval}s`));
+	});
+}
+
+program
+	.description('Serve protocol state as Prometheus metrics')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-i, --interval <value>', 'Seconds between reads of the protocol state', 60)
+	.option('-l, --listen-port <value>', 'The port to serve metrics on', 9460)
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.action(async (...args) => {
+		try {
+			await exporter(...args);
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
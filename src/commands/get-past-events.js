@@ -1,11 +1,13 @@
 #!/usr/bin/env node
 
 const program = require('commander');
-const { red } = require('chalk');
+const { gray, red } = require('chalk');
 
 const { getContract } = require('../utils/getContract');
 const { setupProvider } = require('../utils/setupProvider');
 const { getPastEvents } = require('../utils/getEvents');
+const { logEvent } = require('../utils/prettyLog');
+const { DEFAULT_ADDRESS_BOOK_FILE, getAddressLabeler } = require('../utils/addressLabels');
 
 async function pastEvents({
 	network,
@@ -17,6 +19,7 @@ async function pastEvents({
 	fromBlock,
 	toBlock,
 	dedup,
+	addressBook,
 }) {
 	/* ~~~~~~~~~~~~~~~~~~~ */
 	/* ~~~~~~ Input ~~~~~~ */
@@ -31,6 +34,8 @@ async function pastEvents({
 
 	const { provider } = await setupProvider({ providerUrl });
 
+	const labelAddress = getAddressLabeler({ network, useOvm, addressBookFile: addressBook });
+
 	const contract = await getContract({
 		contract: contractName,
 		source: sourceName || contractName,
@@ -45,13 +50,15 @@ async function pastEvents({
 
 	const events = await getPastEvents({ contract, eventName, provider, fromBlock, toBlock });
 
-	console.log(
-		'events',
-		await Promise.all(
-			events.map(evt => provider.getTransaction(evt.transactionHash).then(receipt => Object.assign(evt, { receipt }))),
-		),
+	await Promise.all(
+		events.map(evt => provider.getTransaction(evt.transactionHash).then(receipt => Object.assign(evt, { receipt }))),
 	);
 
+	events.map((event, idx) => {
+		logEvent(event, idx + 1, labelAddress);
+		console.log(gray(`      tx from: ${labelAddress(event.receipt.from)}`));
+	});
+
 	let count = events.length;
 	if (dedup) {
 		count = 0;
@@ -78,6 +85,7 @@ program
 	.option('-f, --from-block <value>', 'Starting block for the query')
 	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
 	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-r, --address-book <value>', 'A JSON file mapping addresses to labels', DEFAULT_ADDRESS_BOOK_FILE)
 	.option('-s, --source-name <value>', 'The source abi to use (defaults to contract name if not specified)')
 	.option('-t, --to-block <value>', 'Ending block for the query', 'latest')
 	.option('-z, --use-ovm', 'Use an Optimism chain', false)
@@ -18,8 +18,15 @@ const { yellow, green, red, cyan, gray } = require('chalk');
 const synthetix = require('synthetix');
 
 const { setupProvider } = require('../utils/setupProvider');
-const { stageTx, runTx } = require('../utils/runTx');
-const { logReceipt, logError } = require('../utils/prettyLog');
+const { stageTx, runTx, simulateTx } = require('../utils/runTx');
+const { logReceipt, logError, logEvent, findReason } = require('../utils/prettyLog');
+const { getPastEvents } = require('../utils/getEvents');
+const { getLogDecoder } = require('../utils/decodeLog');
+const { loadSafeBatch, addToSafeBatch, writeSafeBatch } = require('../utils/safeBatch');
+const { parseInput, formatInput, getInputHint } = require('../utils/parseInput');
+const { DEFAULT_HISTORY_FILE, loadHistory, recordCall, toggleFavorite } = require('../utils/history');
+const { takeSnapshot, logSnapshot } = require('../utils/snapshot');
+const { DEFAULT_ADDRESS_BOOK_FILE, getAddressLabeler } = require('../utils/addressLabels');
 
 async function interactiveUi({
 	network,
@@ -30,6 +37,11 @@ async function interactiveUi({
 	gasLimit,
 	deploymentPath,
 	privateKey,
+	historyFile,
+	safeBatchFile,
+	safeAddress,
+	block,
+	addressBook,
 }) {
 	console.clear();
 
@@ -76,15 +88,53 @@ async function interactiveUi({
 		}
 	}
 
+	// When batching for a Safe, write calls are recorded instead of signed
 	const { provider, wallet } = setupProvider({
 		providerUrl,
-		privateKey,
-		publicKey,
+		privateKey: safeBatchFile ? undefined : privateKey,
+		publicKey: safeBatchFile ? undefined : publicKey,
 	});
 
+	let safeBatch;
+	if (safeBatchFile) {
+		if (!safeAddress) {
+			safeAddress = getUsers({ user: 'owner' }).address;
+		}
+
+		const { chainId } = await provider.getNetwork();
+		safeBatch = loadSafeBatch({ batchFile: safeBatchFile, chainId, safeAddress });
+	}
+
+	// View calls are made at this block, write calls are only allowed at latest
+	let blockTag = 'latest';
+
+	// Negative block numbers are relative to the latest block
+	async function pinBlock(value) {
+		if (value === 'latest') {
+			blockTag = 'latest';
+
+			return;
+		}
+
+		const latestBlock = await provider.getBlockNumber();
+
+		if (!`${value}`.match(/^-?\d+$/)) throw new Error(`Invalid block ${value}, expected a block number or latest`);
+
+		const number = +value;
+		if (number > latestBlock) throw new Error(`Block ${number} is ahead of the latest block ${latestBlock}`);
+
+		blockTag = number < 0 ? Math.max(latestBlock + number, 0) : number;
+	}
+
+	if (block) {
+		await pinBlock(block);
+	}
+
 	inquirer.registerPrompt('autocomplete', autocomplete);
 
 	const deploymentData = JSON.parse(fs.readFileSync(deploymentFilePath));
+	const decodeLog = getLogDecoder({ deploymentData });
+	const labelAddress = getAddressLabeler({ network, useOvm, deploymentData, addressBookFile: addressBook });
 
 	// ------------------
 	// Header
@@ -127,10 +177,18 @@ async function interactiveUi({
 	console.log(gray(`> Network: ${network}`));
 	console.log(gray(`> Gas price: ${gasPrice}`));
 	console.log(gray(`> OVM: ${useOvm}`));
+	if (blockTag === 'latest') {
+		console.log(gray('> Block: latest'));
+	} else {
+		console.log(yellow(`> Block: ${blockTag} (pinned, write calls are disabled)`));
+	}
 	console.log(yellow(`> Target deployment: ${path.dirname(deploymentFilePath)}`));
 
-	if (wallet) {
-		console.log(yellow(`> Signer: ${wallet.address || wallet}`));
+	if (safeBatch) {
+		console.log(yellow(`> Safe batch: ${safeBatchFile} (${safeBatch.transactions.length} transactions)`));
+		console.log(yellow(`> Safe: ${labelAddress(safeAddress)}`));
+	} else if (wallet) {
+		console.log(yellow(`> Signer: ${labelAddress(wallet.address) || wallet}`));
 	} else {
 		console.log(gray('> Read only'));
 	}
@@ -142,6 +200,617 @@ async function interactiveUi({
 	// Interaction
 	// -----------------
 
+	const escItem = '↩ BACK';
+	const historyItem = '★ HISTORY';
+	const snapshotItem = '⧉ SNAPSHOT';
+	const blockItem = '⏱ BLOCK';
+
+	async function getContractInstance({ contractName }) {
+		const target = await getTarget({
+			contract: contractName,
+			network,
+			useOvm,
+			deploymentPath,
+		});
+		const source = await getSource({
+			contract: target.source,
+			network,
+			useOvm,
+			deploymentPath,
+		});
+		console.log(gray(`  > ${contractName} => ${target.address}`));
+
+		const contract = new ethers.Contract(target.address, source.abi, wallet || provider);
+		if (source.bytecode === '') {
+			const code = await provider.getCode(target.address);
+			console.log(red(`  > No code at ${target.address}, code: ${code}`));
+		}
+
+		return { target, source, contract };
+	}
+
+	function combineNameAndType(items) {
+		const combined = [];
+		if (items && items.length > 0) {
+			items.map(item => {
+				if (item.name) combined.push(`${item.type}${item.indexed ? ' indexed' : ''} ${item.name}`);
+				else combined.push(item.type);
+			});
+		}
+
+		return combined;
+	}
+
+	function reduceSignature(item) {
+		const inputs = combineNameAndType(item.inputs);
+		const inputPart = `${item.name}(${inputs.join(', ')})`;
+
+		if (item.type === 'event') {
+			return `event ${inputPart}`;
+		}
+
+		const outputs = combineNameAndType(item.outputs);
+		let outputPart = outputs.length > 0 ? ` returns(${outputs.join(', ')})` : '';
+		outputPart = item.stateMutability === 'view' ? ` view${outputPart}` : outputPart;
+
+		return `${inputPart}${outputPart}`;
+	}
+
+	// -----------------
+	// Process inputs
+	// -----------------
+
+	// Prompts every input of a function, optionally pre-filled with previously used values
+	async function promptInputs({ abiItem, defaults = [] }) {
+		const rawInputs = [];
+		const inputs = [];
+
+		for (let i = 0; i < abiItem.inputs.length; i++) {
+			const input = abiItem.inputs[i];
+			const name = input.name || input.type;
+
+			let message = `${name} (${input.type})`;
+
+			const hint = getInputHint({ input });
+			if (hint) {
+				message = `${message} - ${hint}`;
+			}
+
+			// Invalid values are re-prompted before anything is sent
+			const answer = await inquirer.prompt([
+				{
+					type: 'input',
+					message,
+					name,
+					default: defaults[i],
+					validate: value => {
+						try {
+							parseInput({ input, value });
+
+							return true;
+						} catch (err) {
+							return err.message;
+						}
+					},
+					// Preview unit conversions while typing, i.e. 1.5 ether => 1500000000000000000 (1.5)
+					transformer: value => {
+						if (!input.type.includes('int') || value === '') {
+							return value;
+						}
+
+						try {
+							return `${value} ${gray(`=> ${formatInput({ value: parseInput({ input, value }) })}`)}`;
+						} catch (err) {
+							return value;
+						}
+					},
+				},
+			]);
+
+			console.log(gray('  > raw inputs:', answer[name]));
+
+			const processed = parseInput({ input, value: answer[name] });
+			const isArray = Array.isArray(processed);
+			console.log(
+				gray(
+					`  > processed inputs (${isArray ? processed.length : '1'}):`,
+					formatInput({ value: processed, labelAddress }),
+				),
+			);
+
+			rawInputs.push(answer[name]);
+			inputs.push(processed);
+		}
+
+		return { rawInputs, inputs };
+	}
+
+	// -----------------
+	// Call function
+	// -----------------
+
+	function printReturnedValue(value) {
+		if (ethers.BigNumber.isBigNumber(value)) {
+			return `${value.toString()} (${ethers.utils.formatEther(value)})`;
+		} else if (Array.isArray(value)) {
+			return value.map(item => `${labelAddress(item)}`);
+		} else {
+			return labelAddress(value);
+		}
+	}
+
+	function printOutputs({ abiItem, result }) {
+		if (abiItem.outputs.length > 1) {
+			for (let i = 0; i < abiItem.outputs.length; i++) {
+				const output = abiItem.outputs[i];
+				console.log(cyan(`  ↪${output.name}(${output.type}):`), printReturnedValue(result[i]));
+			}
+		} else if (abiItem.outputs.length === 1) {
+			const output = abiItem.outputs[0];
+			console.log(cyan(`  ↪${output.name}(${output.type}):`), printReturnedValue(result));
+		}
+	}
+
+	async function callFunction({ contractName, contract, abiItem, rawInputs, inputs }) {
+		const functionSignature = ethers.utils.FunctionFragment.from(abiItem).format();
+
+		const overrides = {
+			gasPrice: ethers.utils.parseUnits(`${gasPrice}`, 'gwei'),
+			gasLimit,
+		};
+
+		// Call function
+		let result, error;
+		if (abiItem.stateMutability === 'view') {
+			console.log(gray('  > Querying...'));
+
+			try {
+				result = await contract[functionSignature](...inputs, { blockTag });
+			} catch (err) {
+				error = err;
+			}
+		} else if (blockTag !== 'latest') {
+			console.log(red(`  > Write calls are disabled while block ${blockTag} is pinned, switch to latest first`));
+
+			return;
+		} else {
+			// Dry run the call so that reverts are caught before spending gas
+			console.log(gray('  > Simulating transaction...'));
+			const simulation = await simulateTx({
+				contract,
+				functionName: functionSignature,
+				inputs,
+				overrides: safeBatch ? { ...overrides, from: safeAddress } : overrides,
+			});
+
+			if (simulation.success) {
+				const cost = simulation.gasEstimate.mul(overrides.gasPrice);
+
+				console.log(green('  > Simulation succeeded'));
+				printOutputs({ abiItem, result: simulation.result });
+				console.log(gray(`  > Estimated gas: ${simulation.gasEstimate.toString()}`));
+				console.log(gray(`  > Estimated cost: ${ethers.utils.formatEther(cost)} ETH at ${gasPrice} gwei`));
+
+				if (simulation.gasEstimate.gt(gasLimit)) {
+					console.log(yellow(`  > Estimated gas exceeds the gas limit of ${gasLimit}`));
+				}
+			} else {
+				console.log(red(`  > Simulation reverted: ${findReason(simulation.error) || simulation.error.message}`));
+			}
+
+			const { confirmation } = await inquirer.prompt([
+				{
+					type: 'confirm',
+					name: 'confirmation',
+					message: simulation.success
+						? `${safeBatch ? 'Add to Safe batch' : 'Send transaction'}?`
+						: `Transaction is expected to revert. ${safeBatch ? 'Add to Safe batch' : 'Send'} anyway?`,
+					default: simulation.success,
+				},
+			]);
+			if (!confirmation) {
+				return;
+			}
+
+			if (safeBatch) {
+				addToSafeBatch({ batch: safeBatch, contractName, contract, abiItem, inputs });
+				writeSafeBatch({ batch: safeBatch, batchFile: safeBatchFile });
+
+				recordCall({
+					historyFile,
+					entry: {
+						network,
+						useOvm,
+						contract: contractName,
+						signature: functionSignature,
+						inputs: rawInputs,
+						safeBatch: safeBatchFile,
+					},
+				});
+
+				return;
+			}
+
+			console.log(gray(`  > Staging transaction... ${new Date()}`));
+			const txPromise = contract[functionSignature](...inputs, overrides);
+
+			result = await stageTx({
+				txPromise,
+				provider,
+			});
+
+			if (result.success) {
+				console.log(gray(`  > Sending transaction... ${result.tx.hash}`));
+
+				result = await runTx({
+					tx: result.tx,
+					provider,
+				});
+
+				if (result.success) {
+					result = result.receipt;
+				} else {
+					error = result.error;
+				}
+			} else {
+				error = result.error;
+			}
+		}
+
+		console.log(gray(`  > Transaction sent... ${new Date()}`));
+
+		if (error) {
+			logError(error);
+		} else {
+			logReceipt(result, contract, decodeLog, labelAddress);
+
+			if (abiItem.stateMutability === 'view' && result !== undefined) {
+				printOutputs({ abiItem, result });
+			}
+		}
+
+		recordCall({
+			historyFile,
+			entry: {
+				network,
+				useOvm,
+				contract: contractName,
+				signature: functionSignature,
+				inputs: rawInputs,
+				blockTag: blockTag === 'latest' ? undefined : blockTag,
+				result: abiItem.stateMutability === 'view' && !error ? result : undefined,
+				txHash: result && result.transactionHash,
+				error: error ? findReason(error) || error.message || 'unknown error' : undefined,
+			},
+		});
+	}
+
+	// -----------------
+	// Call history
+	// -----------------
+
+	function describeHistoryEntry(entry) {
+		const star = entry.favorite ? '★' : ' ';
+		const date = entry.timestamp.replace('T', ' ').slice(0, 19);
+		const outcome = entry.error ? `✗ ${entry.error}` : entry.txHash || JSON.stringify(entry.result);
+
+		return `${star} ${date} ${entry.contract}.${entry.signature} (${entry.inputs.join(', ')}) => ${outcome}`;
+	}
+
+	async function replayHistoryEntry({ entry, editInputs }) {
+		const { source, contract } = await getContractInstance({ contractName: entry.contract });
+
+		const abiItem = source.abi.find(
+			item => item.type === 'function' && ethers.utils.FunctionFragment.from(item).format() === entry.signature,
+		);
+		if (!abiItem) {
+			console.log(red(`  > ${entry.signature} not found in the ${entry.contract} abi`));
+
+			return;
+		}
+
+		let rawInputs = entry.inputs;
+		let inputs;
+		if (editInputs) {
+			({ rawInputs, inputs } = await promptInputs({ abiItem, defaults: entry.inputs }));
+		} else {
+			inputs = abiItem.inputs.map((input, idx) => parseInput({ input, value: entry.inputs[idx] }));
+			console.log(gray('  > inputs:', formatInput({ value: inputs })));
+		}
+
+		await callFunction({ contractName: entry.contract, contract, abiItem, rawInputs, inputs });
+	}
+
+	async function pickHistory() {
+		// Favorites first, then most recent first
+		const entries = loadHistory({ historyFile })
+			.filter(entry => entry.network === network && entry.useOvm === useOvm)
+			.reverse()
+			.sort((a, b) => b.favorite - a.favorite);
+
+		const descriptions = entries.map(entry => describeHistoryEntry(entry));
+
+		async function searchHistory(matches, query = '') {
+			matches;
+
+			return new Promise(resolve => {
+				const found = descriptions.filter(item => item.toLowerCase().includes(query.toLowerCase()));
+				if (query === '') {
+					found.splice(0, 0, escItem);
+				}
+
+				resolve(found);
+			});
+		}
+
+		const { description } = await inquirer.prompt([
+			{
+				type: 'autocomplete',
+				name: 'description',
+				message: '>>> Pick a CALL:',
+				source: (matches, query) => searchHistory(matches, query),
+			},
+		]);
+
+		if (description === escItem) {
+			await pickContract();
+
+			return;
+		}
+
+		const entry = entries[descriptions.indexOf(description)];
+
+		const { action } = await inquirer.prompt([
+			{
+				type: 'list',
+				name: 'action',
+				message: 'What do you want to do with this call?',
+				choices: ['Run again', 'Edit inputs and run', entry.favorite ? 'Unstar' : 'Star', escItem],
+			},
+		]);
+
+		if (action === 'Run again' || action === 'Edit inputs and run') {
+			await replayHistoryEntry({ entry, editInputs: action === 'Edit inputs and run' });
+		} else if (action === 'Star' || action === 'Unstar') {
+			toggleFavorite({ historyFile, id: entry.id });
+		}
+
+		await pickHistory();
+	}
+
+	// -----------------
+	// Event explorer
+	// -----------------
+
+	async function exploreEvents({ contract, abiItem }) {
+		const eventSignature = ethers.utils.EventFragment.from(abiItem).format();
+
+		// Indexed arguments can be used as filters, ethers matches filter values to every input by position
+		const filterArgs = [];
+		for (const input of abiItem.inputs) {
+			// Indexed arrays and tuples are stored as hashes, which ethers cannot filter on
+			if (!input.indexed || input.type.endsWith(']') || input.type.startsWith('tuple')) {
+				filterArgs.push(null);
+				continue;
+			}
+
+			const name = input.name || input.type;
+
+			const answer = await inquirer.prompt([
+				{
+					type: 'input',
+					message: `Filter by ${name} (${input.type}) - leave empty to match any`,
+					name,
+					validate: value => {
+						if (value === '') return true;
+
+						try {
+							parseInput({ input, value });
+
+							return true;
+						} catch (err) {
+							return err.message;
+						}
+					},
+				},
+			]);
+
+			filterArgs.push(answer[name] === '' ? null : parseInput({ input, value: answer[name] }));
+		}
+
+		// When a block is pinned, ranges are relative to it instead of the chain head
+		const latestBlock = blockTag === 'latest' ? await provider.getBlockNumber() : blockTag;
+		const latestLabel = blockTag === 'latest' ? 'latest' : 'pinned';
+
+		// Negative block numbers are relative to the latest block
+		function parseBlock(value) {
+			if (value === 'latest') return latestBlock;
+
+			if (!value.match(/^-?\d+$/)) throw new Error('Expected a block number or latest');
+
+			const block = +value;
+
+			return block < 0 ? Math.max(latestBlock + block, 0) : block;
+		}
+
+		function validateBlock(value) {
+			try {
+				parseBlock(value);
+
+				return true;
+			} catch (err) {
+				return err.message;
+			}
+		}
+
+		const { fromBlock, toBlock } = await inquirer.prompt([
+			{
+				type: 'input',
+				name: 'fromBlock',
+				message: `From block (${latestLabel} is ${latestBlock}, negative values are relative to it)`,
+				default: '-10000',
+				validate: validateBlock,
+			},
+			{
+				type: 'input',
+				name: 'toBlock',
+				message: 'To block',
+				default: 'latest',
+				validate: validateBlock,
+			},
+		]);
+
+		const events = await getPastEvents({
+			contract,
+			eventName: eventSignature,
+			provider,
+			fromBlock: parseBlock(fromBlock),
+			toBlock: parseBlock(toBlock),
+			filterArgs,
+		});
+
+		if (events.length === 0) {
+			console.log(yellow('  > No events found'));
+
+			return;
+		}
+
+		// Most recent events first
+		events.reverse();
+
+		const pageSize = 10;
+		const nextItem = 'Next page';
+		const previousItem = 'Previous page';
+
+		async function showPage(page) {
+			const start = page * pageSize;
+			const end = Math.min(start + pageSize, events.length);
+
+			console.log(gray(`  > Showing events ${start + 1}-${end} of ${events.length}, most recent first`));
+			events.slice(start, end).map((event, idx) => logEvent(event, start + idx + 1, labelAddress));
+
+			const choices = [];
+			if (end < events.length) choices.push(nextItem);
+			if (page > 0) choices.push(previousItem);
+			choices.push(escItem);
+
+			const { action } = await inquirer.prompt([
+				{
+					type: 'list',
+					name: 'action',
+					message: 'Browse events',
+					choices,
+				},
+			]);
+
+			if (action === nextItem) {
+				await showPage(page + 1);
+			} else if (action === previousItem) {
+				await showPage(page - 1);
+			}
+		}
+
+		await showPage(0);
+	}
+
+	async function snapshotContract({ contractName, contract, source }) {
+		function splitList(value) {
+			return value
+				.split(',')
+				.map(item => item.trim())
+				.filter(item => item !== '');
+		}
+
+		const answer = await inquirer.prompt([
+			{
+				type: 'input',
+				name: 'addresses',
+				message: 'Addresses to query views taking an address (comma separated, optional):',
+				validate: value => {
+					try {
+						splitList(value).map(address => parseInput({ input: { type: 'address' }, value: address }));
+
+						return true;
+					} catch (err) {
+						return err.message;
+					}
+				},
+			},
+			{
+				type: 'input',
+				name: 'keys',
+				message: 'Keys to query views taking a bytes32, e.g. sUSD (comma separated, optional):',
+				validate: value => {
+					try {
+						splitList(value).map(key => parseInput({ input: { type: 'bytes32' }, value: key }));
+
+						return true;
+					} catch (err) {
+						return err.message;
+					}
+				},
+			},
+			{
+				type: 'input',
+				name: 'outFile',
+				message: 'Save the snapshot to a JSON file (optional):',
+			},
+		]);
+
+		console.log(gray('  > Querying views...'));
+		let snapshot;
+		try {
+			snapshot = await takeSnapshot({
+				contractName,
+				contract,
+				abi: source.abi,
+				addresses: splitList(answer.addresses),
+				keys: splitList(answer.keys),
+				blockTag,
+			});
+		} catch (err) {
+			console.log(red(`  > Snapshot failed: ${err.message}`));
+
+			return;
+		}
+
+		logSnapshot(snapshot, labelAddress);
+
+		if (answer.outFile) {
+			try {
+				fs.writeFileSync(answer.outFile, JSON.stringify(snapshot, null, 2));
+				console.log(gray(`  > Snapshot written to ${answer.outFile}`));
+			} catch (err) {
+				console.log(red(`  > Could not write the snapshot: ${err.message}`));
+			}
+		}
+	}
+
+	async function switchBlock() {
+		const { value } = await inquirer.prompt([
+			{
+				type: 'input',
+				name: 'value',
+				message: 'Block to pin view calls to (a number, negative to go back from latest, or latest)',
+				default: `${blockTag}`,
+			},
+		]);
+
+		try {
+			await pinBlock(value);
+		} catch (err) {
+			console.log(red(`  > ${err.message}`));
+
+			return;
+		}
+
+		if (blockTag === 'latest') {
+			console.log(green('  > Using the latest block, write calls are enabled'));
+		} else {
+			console.log(yellow(`  > Pinned to block ${blockTag}, write calls are disabled`));
+		}
+	}
+
 	async function pickContract() {
 		// -----------------
 		// Pick a contract
@@ -160,7 +829,12 @@ async function interactiveUi({
 			matches;
 
 			return new Promise(resolve => {
-				resolve(targets.filter(target => target.toLowerCase().includes(query.toLowerCase())));
+				const found = targets.filter(target => target.toLowerCase().includes(query.toLowerCase()));
+				if (query === '') {
+					found.splice(0, 0, historyItem, blockItem);
+				}
+
+				resolve(found);
 			});
 		}
 
@@ -173,63 +847,31 @@ async function interactiveUi({
 			},
 		]);
 
-		const target = await getTarget({
-			contract: contractName,
-			network,
-			useOvm,
-			deploymentPath,
-		});
-		const source = await getSource({
-			contract: target.source,
-			network,
-			useOvm,
-			deploymentPath,
-		});
-		console.log(gray(`  > ${contractName} => ${target.address}`));
+		if (contractName === historyItem) {
+			await pickHistory();
 
-		const contract = new ethers.Contract(target.address, source.abi, wallet || provider);
-		if (source.bytecode === '') {
-			const code = await provider.getCode(target.address);
-			console.log(red(`  > No code at ${target.address}, code: ${code}`));
+			return;
 		}
 
+		if (contractName === blockItem) {
+			await switchBlock();
+
+			return pickContract();
+		}
+
+		const { source, contract } = await getContractInstance({ contractName });
+
 		// -----------------
 		// Pick a function
 		// -----------------
 
 		async function pickFunction() {
-
-			function combineNameAndType(items) {
-				const combined = [];
-				if (items && items.length > 0) {
-					items.map(item => {
-						if (item.name) combined.push(`${item.type} ${item.name}`);
-						else combined.push(item.type);
-					});
-				}
-
-				return combined;
-			}
-
-			function reduceSignature(item) {
-				const inputs = combineNameAndType(item.inputs);
-				const inputPart = `${item.name}(${inputs.join(', ')})`;
-
-				const outputs = combineNameAndType(item.outputs);
-				let outputPart = outputs.length > 0 ? ` returns(${outputs.join(', ')})` : '';
-				outputPart = item.stateMutability === 'view' ? ` view${outputPart}` : outputPart;
-
-				return `${inputPart}${outputPart}`;
-			}
-
-			const escItem =  '↩ BACK';
-
 			async function searchAbi(matches, query = '') {
 				matches;
 
 				return new Promise(resolve => {
 					let abiMatches = source.abi.filter(item => {
-						if (item.name && item.type === 'function') {
+						if (item.name && (item.type === 'function' || item.type === 'event')) {
 							return item.name.toLowerCase().includes(query.toLowerCase());
 						}
 						return false;
@@ -244,7 +886,7 @@ async function interactiveUi({
 
 					const signatures = abiMatches.map(match => reduceSignature(match));
 					if (query === '') {
-						signatures.splice(0, 0, escItem);
+						signatures.splice(0, 0, escItem, snapshotItem);
 					}
 
 					resolve(signatures);
@@ -256,7 +898,7 @@ async function interactiveUi({
 				{
 					type: 'autocomplete',
 					name: 'abiItemSignature',
-					message: '>>> Pick a FUNCTION:',
+					message: '>>> Pick a FUNCTION or EVENT:',
 					source: (matches, query) => searchAbi(matches, query),
 				},
 			]);
@@ -268,143 +910,23 @@ async function interactiveUi({
 				await pickContract();
 			}
 
-			const abiItemName = abiItemSignature.split('(')[0];
-			const abiItem = source.abi.find(item => item.name === abiItemName);
-
-			// -----------------
-			// Process inputs
-			// -----------------
+			if (abiItemSignature === snapshotItem) {
+				await snapshotContract({ contractName, contract, source });
 
-			// Prompt inputs for function
-			const inputs = [];
-			if (abiItem.inputs.length > 0) {
-				for (const input of abiItem.inputs) {
-					const name = input.name || input.type;
-
-					let message = name;
-
-					const requiresBytes32Util = input.type.includes('bytes32');
-					const isArray = input.type.includes('[]');
-
-					if (requiresBytes32Util) {
-						message = `${message} (uses toBytes32${isArray ? ' - if array, use a,b,c syntax' : ''})`;
-					}
-
-					const answer = await inquirer.prompt([
-						{
-							type: 'input',
-							message,
-							name,
-						},
-					]);
-
-					let processed = answer[name];
-					console.log(gray('  > raw inputs:', processed));
-
-					if (isArray) {
-						processed = processed.split(',');
-					}
-
-					if (requiresBytes32Util) {
-						if (isArray) {
-							processed = processed.map(item => synthetix.toBytes32(item));
-						} else {
-							processed = synthetix.toBytes32(processed);
-						}
-					}
-					console.log(gray(`  > processed inputs (${isArray ? processed.length : '1'}):`, processed));
-
-					inputs.push(processed);
-				}
-			}
-
-			// -----------------
-			// Call function
-			// -----------------
-
-			const overrides = {
-				gasPrice: ethers.utils.parseUnits(`${gasPrice}`, 'gwei'),
-				gasLimit,
-			};
-
-			// Call function
-			let result, error;
-			if (abiItem.stateMutability === 'view') {
-				console.log(gray('  > Querying...'));
-
-				try {
-					result = await contract[abiItemName](...inputs);
-				} catch (err) {
-					error = err;
-				}
-			} else {
-				const { confirmation } = await inquirer.prompt([
-					{
-						type: 'confirm',
-						name: 'confirmation',
-						message: 'Send transaction?',
-					},
-				]);
-				if (!confirmation) {
-					await pickFunction();
-
-					return;
-				}
-
-				console.log(gray(`  > Staging transaction... ${new Date()}`));
-				const txPromise = contract[abiItemName](...inputs, overrides);
-
-				result = await stageTx({
-					txPromise,
-					provider,
-				});
-
-				if (result.success) {
-					console.log(gray(`  > Sending transaction... ${result.tx.hash}`));
-
-					result = await runTx({
-						tx: result.tx,
-						provider,
-					})
-
-					if (result.success) {
-						result = result.receipt;
-					} else {
-						error = result.error;
-					}
-				} else {
-					error = result.error;
-				}
-			}
-
-			function printReturnedValue(value) {
-				if (ethers.BigNumber.isBigNumber(value)) {
-					return `${value.toString()} (${ethers.utils.formatEther(value)})`;
-				} else if (Array.isArray(value)) {
-					return value.map(item => `${item}`);
-				} else {
-					return value;
-				}
+				return pickFunction();
 			}
 
-			console.log(gray(`  > Transaction sent... ${new Date()}`));
+			// Key on the full signature so that overloaded functions resolve to the picked overload
+			const abiItem = source.abi.find(
+				item => (item.type === 'function' || item.type === 'event') && reduceSignature(item) === abiItemSignature,
+			);
 
-			if (error) {
-				logError(error);
+			if (abiItem.type === 'event') {
+				await exploreEvents({ contract, abiItem });
 			} else {
-				logReceipt(result, contract);
+				const { rawInputs, inputs } = await promptInputs({ abiItem });
 
-				if (abiItem.stateMutability === 'view' && result !== undefined) {
-					if (abiItem.outputs.length > 1) {
-						for (let i = 0; i < abiItem.outputs.length; i++) {
-							const output = abiItem.outputs[i];
-							console.log(cyan(`  ↪${output.name}(${output.type}):`), printReturnedValue(result[i]));
-						}
-					} else {
-						const output = abiItem.outputs[0];
-						console.log(cyan(`  ↪${output.name}(${output.type}):`), printReturnedValue(result));
-					}
-				}
+				await callFunction({ contractName, contract, abiItem, rawInputs, inputs });
 			}
 
 			// Call indefinitely
@@ -421,12 +943,17 @@ async function interactiveUi({
 
 program
 	.description('Interact with a deployed Synthetix instance from the command line')
+	.option('-b, --block <value>', 'Block number to pin view calls to, negative values are relative to the latest')
 	.option('-f, --use-fork', 'Use a local fork', false)
 	.option('-g, --gas-price <value>', 'Gas price to set when performing transfers', 1)
+	.option('-i, --history-file <value>', 'The file used to record call history and favorites', DEFAULT_HISTORY_FILE)
 	.option('-k, --private-key <value>', 'Private key to use to sign txs')
 	.option('-l, --gas-limit <value>', 'Max gas to use when signing transactions', 8000000)
 	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
 	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-r, --address-book <value>', 'A JSON file mapping addresses to labels', DEFAULT_ADDRESS_BOOK_FILE)
+	.option('-s, --safe-batch-file <value>', 'Add write calls to a Safe batch file instead of sending them')
+	.option('-t, --safe-address <value>', 'The Safe that will execute the batch (defaults to the owner)')
 	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
 	.option('-z, --use-ovm', 'Use an Optimism chain', false)
 	.action(async (...args) => {
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const program = require('commander');
+const ethers = require('ethers');
+const { green, cyan, red, gray, yellow } = require('chalk');
+const { formatBytes32String, parseEther } = require('ethers').utils;
+
+const { getContract, getDeploymentData } = require('../utils/getContract');
+const { setupProvider } = require('../utils/setupProvider');
+const { formatAmount } = require('../utils/formatAmount');
+const { serializeRaw, getDelta } = require('../utils/statusReport');
+const { describeSuspension, readSuspension } = require('../utils/systemStatus');
+
+// Calling a function the deployed contract lacks reverts without data. Depending on the node that surfaces
+// as a CALL_EXCEPTION on an empty result, or as the node's revert error wrapped in a SERVER_ERROR.
+function isRevertWithoutData(err) {
+	const isEmpty = data => !data || data === '0x';
+
+	if (err.code === 'CALL_EXCEPTION') return isEmpty(err.data);
+	if (err.code === 'SERVER_ERROR' && err.error) return /revert/.test(err.error.message) && isEmpty(err.error.data);
+
+	return false;
+}
+
+// Reads everything needed to simulate an exchange at a block, along with what would make it revert.
+async function getQuote({ contracts, provider, source, amount, destination, blockTag }) {
+	const { ExchangeRates, Exchanger, SystemSettings, SystemStatus } = contracts;
+	const blockOptions = { blockTag };
+
+	const { number, timestamp } = await provider.getBlock(blockTag);
+
+	const sourceKey = formatBytes32String(source);
+	const destinationKey = formatBytes32String(destination);
+
+	const effectiveValue = await ExchangeRates.effectiveValue(sourceKey, amount, destinationKey, blockOptions);
+
+	// Older deployments only have a fee rate per destination synth, their Exchanger either lacks
+	// feeRateForExchange in its abi or reverts without data when it is called
+	let feeRate, feeRateSource;
+	if (Exchanger.feeRateForExchange) {
+		try {
+			feeRate = await Exchanger.feeRateForExchange(sourceKey, destinationKey, blockOptions);
+			feeRateSource = 'Exchanger';
+		} catch (err) {
+			if (!isRevertWithoutData(err)) throw err;
+		}
+	}
+	if (!feeRateSource) {
+		feeRate = await SystemSettings.exchangeFeeRate(destinationKey, blockOptions);
+		feeRateSource = 'SystemSettings';
+	}
+
+	const fee = effectiveValue.mul(feeRate).div(parseEther('1'));
+
+	const rateStalePeriod = await SystemSettings.rateStalePeriod(blockOptions);
+
+	const rates = {};
+	for (const currency of [source, destination]) {
+		const currencyKey = formatBytes32String(currency);
+
+		const [rate, lastRateUpdateTime, isStale, isInvalid] = await Promise.all([
+			ExchangeRates.rateForCurrency(currencyKey, blockOptions),
+			ExchangeRates.lastRateUpdateTimes(currencyKey, blockOptions),
+			ExchangeRates.rateIsStale(currencyKey, blockOptions),
+			ExchangeRates.rateIsInvalid(currencyKey, blockOptions),
+		]);
+
+		rates[currency] = { rate, lastRateUpdateTime, age: timestamp - +lastRateUpdateTime.toString(), isStale, isInvalid };
+	}
+
+	const suspensions = [
+		{ name: 'system', ...(await readSuspension({ SystemStatus, sectionName: 'system', blockOptions })) },
+		{ name: 'exchange', ...(await readSuspension({ SystemStatus, sectionName: 'exchange', blockOptions })) },
+	];
+	for (const currency of [source, destination]) {
+		const suspension = await readSuspension({ SystemStatus, sectionName: 'synth', currency, blockOptions });
+
+		suspensions.push({ name: currency, ...suspension });
+	}
+
+	const blockers = [];
+	for (const suspension of suspensions.filter(suspension => suspension.suspended)) {
+		blockers.push(`${suspension.name} is ${describeSuspension(suspension)}`);
+	}
+	for (const currency of Object.keys(rates)) {
+		if (rates[currency].isStale) blockers.push(`${currency} rate is stale`);
+		if (rates[currency].isInvalid) blockers.push(`${currency} rate is invalid`);
+	}
+
+	return {
+		block: { number, timestamp },
+		source,
+		destination,
+		amount,
+		effectiveValue,
+		feeRate,
+		feeRateSource,
+		fee,
+		amountReceived: effectiveValue.sub(fee),
+		rateStalePeriod,
+		rates,
+		suspensions,
+		blockers,
+	};
+}
+
+function printQuote(quote) {
+	const { source, destination } = quote;
+
+	const logItem = (itemName, itemValue, color = undefined) => {
+		const line = `  ${cyan(`* ${itemName}:`)} ${itemValue}`;
+
+		console.log(color ? color(line) : line);
+	};
+
+	const { number, timestamp } = quote.block;
+	console.log(green(`\n=== Quote at block ${number} (${new Date(timestamp * 1000).toISOString()}): ===`));
+
+	const rate = quote.amount.isZero()
+		? ethers.constants.Zero
+		: quote.effectiveValue.mul(parseEther('1')).div(quote.amount);
+
+	logItem('Exchanging', formatAmount(quote.amount, source));
+	logItem('Rate', `1 ${source} = ${formatAmount(rate, destination)}`);
+	logItem('Effective value', formatAmount(quote.effectiveValue, destination));
+	logItem('Fee rate', `${(+quote.feeRate.toString() / 1e16).toFixed(2)}% (from ${quote.feeRateSource})`);
+	logItem('Fee', formatAmount(quote.fee, destination));
+	logItem('Amount received', formatAmount(quote.amountReceived, destination));
+
+	console.log(green('\n=== Rates: ==='));
+
+	const stalePeriod = Math.floor(+quote.rateStalePeriod.toString() / 60);
+	for (const currency of Object.keys(quote.rates)) {
+		const { rate, age, isStale, isInvalid } = quote.rates[currency];
+
+		const flags = [isStale && 'stale', isInvalid && 'invalid'].filter(flag => flag).join(', ');
+		const updated = `updated ${Math.floor(age / 60)} minutes ago, stale after ${stalePeriod} minutes`;
+		const description = `${formatAmount(rate, 'USD')} (${updated})`;
+
+		logItem(currency, `${description}${flags ? ` ${flags}` : ''}`, flags ? red : undefined);
+	}
+
+	console.log(green('\n=== Suspensions: ==='));
+
+	for (const suspension of quote.suspensions) {
+		logItem(suspension.name, describeSuspension(suspension), suspension.suspended ? red : undefined);
+	}
+
+	if (quote.blockers.length > 0) {
+		console.log(red('\n=== The exchange would revert: ==='));
+		quote.blockers.map(blocker => console.log(red(`  * ${blocker}`)));
+	} else {
+		console.log(gray('\n  Nothing is blocking the exchange'));
+	}
+}
+
+function printQuoteChanges({ from, to }) {
+	console.log(green(`\n=== Changes from block ${from.block.number} to block ${to.block.number}: ===`));
+
+	const logChange = (name, fromValue, toValue, unit) => {
+		const { delta, percent } = getDelta({ from: fromValue.toString(), to: toValue.toString(), decimals: 18 });
+		const percentage = percent !== undefined ? `, ${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%` : '';
+
+		const values = `${formatAmount(fromValue, unit)} → ${formatAmount(toValue, unit)}`;
+
+		console.log(`  ${cyan(`* ${name}:`)} ${values} (${delta}${percentage})`);
+	};
+
+	logChange('Effective value', from.effectiveValue, to.effectiveValue, from.destination);
+	logChange('Fee', from.fee, to.fee, from.destination);
+	logChange('Amount received', from.amountReceived, to.amountReceived, from.destination);
+
+	const newBlockers = to.blockers.filter(blocker => !from.blockers.includes(blocker));
+	const clearedBlockers = from.blockers.filter(blocker => !to.blockers.includes(blocker));
+
+	newBlockers.map(blocker => console.log(red(`  * Now blocking: ${blocker}`)));
+	clearedBlockers.map(blocker => console.log(yellow(`  * No longer blocking: ${blocker}`)));
+}
+
+async function quote({
+	network,
+	useOvm,
+	providerUrl,
+	useFork,
+	deploymentPath,
+	source,
+	amount,
+	destination,
+	block,
+	compareBlock,
+	json,
+}) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (!source || !amount || !destination) throw new Error('Please specify a source currency, amount and destination.');
+
+	let parsedAmount;
+	try {
+		parsedAmount = parseEther(amount);
+	} catch (err) {
+		throw new Error(`Invalid amount ${amount}, expected a decimal number like 10 or 1.5.`);
+	}
+	if (parsedAmount.isNegative()) throw new Error(`Invalid amount ${amount}, amounts can not be negative.`);
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	const blockTag = block ? +block : 'latest';
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const { provider } = setupProvider({ providerUrl });
+
+	const { targets } = getDeploymentData({ network, useOvm, deploymentPath });
+
+	// Targets can be deployed from another source, e.g. Exchanger from ExchangerWithVirtualSynth
+	const getQuoteContract = ({ contract }) => {
+		const target = targets[contract];
+		if (!target) throw new Error(`No deployment target named ${contract}.`);
+
+		return getContract({ contract, source: target.source, network, useOvm, provider, deploymentPath, silent: json });
+	};
+
+	const contracts = {
+		ExchangeRates: getQuoteContract({ contract: 'ExchangeRates' }),
+		Exchanger: getQuoteContract({ contract: 'Exchanger' }),
+		SystemSettings: getQuoteContract({ contract: 'SystemSettings' }),
+		SystemStatus: getQuoteContract({ contract: 'SystemStatus' }),
+	};
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Quote ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const readQuote = tag => getQuote({ contracts, provider, source, amount: parsedAmount, destination, blockTag: tag });
+
+	const quotes = [await readQuote(blockTag)];
+	if (compareBlock) {
+		quotes.unshift(await readQuote(+compareBlock));
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Output ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (json) {
+		console.log(JSON.stringify({ network, useOvm, quotes: serializeRaw(quotes) }, null, 2));
+
+		return;
+	}
+
+	quotes.map(printQuote);
+
+	if (compareBlock) {
+		printQuoteChanges({ from: quotes[0], to: quotes[1] });
+	}
+}
+
+program
+	.description('Simulate an exchange, e.g. "quote sETH 10 sUSD", reporting its fee and anything blocking it')
+	.arguments('[source] [amount] [destination]')
+	.option('-b, --block <value>', 'Block number to quote at')
+	.option('-c, --compare-block <value>', 'Another block number to quote at, and compare with')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-j, --json', 'Print the quotes as a JSON document with raw values', false)
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.action(async (source, amount, destination, cmd) => {
+		try {
+			await quote({ ...cmd.opts(), source, amount, destination });
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
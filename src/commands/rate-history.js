@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const fs = require('fs');
+
+const program = require('commander');
+const ethers = require('ethers');
+const { green, cyan, red, gray, yellow } = require('chalk');
+const { formatEther, formatUnits, formatBytes32String, parseBytes32String } = require('ethers').utils;
+
+const { getContract } = require('../utils/getContract');
+const { setupProvider } = require('../utils/setupProvider');
+const { getPastEvents } = require('../utils/getEvents');
+const { findBlockByTimestamp, parseDate } = require('../utils/findBlock');
+const { formatCsv } = require('../utils/csv');
+const { DEFAULT_ADDRESS_BOOK_FILE, getAddressLabeler } = require('../utils/addressLabels');
+
+// Chainlink aggregators emit AnswerUpdated, and proxies point to the aggregator of their current phase
+const AGGREGATOR_ABI = [
+	'event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt)',
+	'function aggregator() view returns (address)',
+	'function phaseId() view returns (uint16)',
+	'function phaseAggregators(uint16) view returns (address)',
+	'function decimals() view returns (uint8)',
+];
+
+// Splits a range into segments over which read(block) returns the same value, bisecting to find each change.
+// A value that changes and changes back within the range is not seen.
+async function splitRange({ read, fromBlock, toBlock }) {
+	const values = {};
+	const readAt = async block => {
+		if (values[block] === undefined) values[block] = `${await read(block)}`;
+
+		return values[block];
+	};
+
+	const segments = [];
+
+	let start = fromBlock;
+	while (start <= toBlock) {
+		const value = await readAt(start);
+
+		if ((await readAt(toBlock)) === value) {
+			segments.push({ fromBlock: start, toBlock, value });
+			break;
+		}
+
+		// The last block with the value is low, the first block with another value is high
+		let low = start;
+		let high = toBlock;
+		while (high - low > 1) {
+			const middle = Math.floor((low + high) / 2);
+
+			if ((await readAt(middle)) === value) {
+				low = middle;
+			} else {
+				high = middle;
+			}
+		}
+
+		segments.push({ fromBlock: start, toBlock: low, value });
+		start = high;
+	}
+
+	return segments;
+}
+
+// Reads the series from the answers of the aggregator backing a rate. Proxies are followed through
+// the aggregator of every phase active in the range.
+async function getAggregatorSeries({ provider, aggregatorAddress, fromBlock, toBlock, chunkSize, labelAddress }) {
+	const proxy = new ethers.Contract(aggregatorAddress, AGGREGATOR_ABI, provider);
+
+	let decimals = 8;
+	try {
+		decimals = await proxy.decimals({ blockTag: toBlock });
+	} catch (err) {
+		// Older aggregators answer with 8 decimals
+	}
+
+	let isProxy = true;
+	try {
+		await proxy.phaseId({ blockTag: toBlock });
+	} catch (err) {
+		// Not a proxy, the aggregator emits the answers itself
+		isProxy = false;
+	}
+
+	const segments = isProxy
+		? await splitRange({ read: block => proxy.phaseId({ blockTag: block }), fromBlock, toBlock })
+		: [{ fromBlock, toBlock }];
+
+	const series = [];
+	for (const [idx, segment] of segments.entries()) {
+		// Proxy round ids are prefixed with the phase of the aggregator answering them
+		const phaseId = segment.value !== undefined ? ethers.BigNumber.from(segment.value) : undefined;
+		const aggregator = phaseId
+			? new ethers.Contract(await proxy.phaseAggregators(phaseId, { blockTag: toBlock }), AGGREGATOR_ABI, provider)
+			: proxy;
+
+		if (idx > 0) {
+			const switched = `phase ${phaseId} (${labelAddress(aggregator.address)})`;
+			console.log(yellow(`  > ${labelAddress(proxy.address)} switched to ${switched} at block ${segment.fromBlock}`));
+		}
+
+		const events = await getPastEvents({
+			contract: aggregator,
+			eventName: 'AnswerUpdated',
+			provider,
+			fromBlock: segment.fromBlock,
+			toBlock: segment.toBlock,
+			chunkSize,
+		});
+
+		for (const event of events) {
+			series.push({
+				block: event.blockNumber,
+				timestamp: +event.args.updatedAt.toString(),
+				rate: formatUnits(event.args.current, decimals),
+				roundId: (phaseId ? phaseId.shl(64).or(event.args.roundId) : event.args.roundId).toString(),
+			});
+		}
+	}
+
+	return series;
+}
+
+// Reads the series from the rates pushed to ExchangeRates by the oracle, which are not numbered.
+async function getOracleSeries({ provider, ExchangeRates, currencyKey, fromBlock, toBlock, chunkSize, getTimestamp }) {
+	const events = await getPastEvents({
+		contract: ExchangeRates,
+		eventName: 'RatesUpdated',
+		provider,
+		fromBlock,
+		toBlock,
+		chunkSize,
+	});
+
+	const series = [];
+	for (const event of events) {
+		const idx = event.args.currencyKeys.indexOf(currencyKey);
+		if (idx === -1) continue;
+
+		series.push({
+			block: event.blockNumber,
+			timestamp: await getTimestamp(event.blockNumber),
+			rate: formatEther(event.args.newRates[idx]),
+			roundId: undefined,
+		});
+	}
+
+	return series;
+}
+
+async function rateHistory({
+	network,
+	useOvm,
+	providerUrl,
+	useFork,
+	deploymentPath,
+	currencies,
+	fromBlock,
+	toBlock,
+	fromDate,
+	toDate,
+	outFile,
+	addressBook,
+	chunkSize,
+}) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	// Accept both -k sETH sBTC and -k sETH,sBTC
+	currencies = currencies ? currencies.join(',').split(',') : [];
+	if (currencies.length === 0) throw new Error('Please specify the currencies to export.');
+
+	if (fromBlock === undefined && fromDate === undefined) throw new Error('Please specify a block or date to start at.');
+	if (fromBlock !== undefined && fromDate !== undefined) throw new Error('Please choose either a block or a date.');
+	if (toBlock !== undefined && toDate !== undefined) throw new Error('Please choose either a block or a date.');
+
+	const isBlockNumber = value => value === undefined || `${value}`.match(/^\d+$/);
+	if (!isBlockNumber(fromBlock)) throw new Error(`Invalid --from-block ${fromBlock}, expected a block number.`);
+	if (!isBlockNumber(toBlock)) throw new Error(`Invalid --to-block ${toBlock}, expected a block number.`);
+	if (!`${chunkSize}`.match(/^\d+$/) || +chunkSize === 0) {
+		throw new Error(`Invalid --chunk-size ${chunkSize}, expected a number of blocks.`);
+	}
+
+	if (outFile && !outFile.match(/\.(csv|json)$/)) throw new Error('The output file must be a .csv or .json file.');
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const { provider } = setupProvider({ providerUrl });
+
+	const labelAddress = getAddressLabeler({ network, useOvm, deploymentPath, addressBookFile: addressBook });
+
+	if (fromDate !== undefined) {
+		fromBlock = await findBlockByTimestamp({ provider, timestamp: parseDate(fromDate) });
+	}
+	const latest = await provider.getBlock('latest');
+	if (toDate !== undefined) {
+		// The last block mined before the end of the range, which is the latest one for ranges ending in the future
+		const endTimestamp = parseDate(toDate);
+
+		toBlock =
+			endTimestamp >= latest.timestamp
+				? latest.number
+				: (await findBlockByTimestamp({ provider, timestamp: endTimestamp + 1 })) - 1;
+	}
+	fromBlock = +fromBlock;
+	toBlock = toBlock !== undefined ? Math.min(+toBlock, latest.number) : latest.number;
+
+	if (fromBlock > toBlock) throw new Error(`The range starts at block ${fromBlock}, after block ${toBlock}.`);
+
+	const ExchangeRates = getContract({ contract: 'ExchangeRates', network, useOvm, provider, deploymentPath });
+	const SystemSettings = getContract({ contract: 'SystemSettings', network, useOvm, provider, deploymentPath });
+
+	// Aggregators are looked up along the whole range, which has to start after ExchangeRates was deployed
+	if ((await provider.getCode(ExchangeRates.address, fromBlock)) === '0x') {
+		throw new Error(`ExchangeRates has no code at block ${fromBlock}, start the range after it was deployed.`);
+	}
+
+	const blockOptions = { blockTag: toBlock };
+	const rateStalePeriod = +(await SystemSettings.rateStalePeriod(blockOptions)).toString();
+
+	console.log(gray(`  > Reading rates from block ${fromBlock} to block ${toBlock}`));
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Series ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	// Oracle updates are read from the block they were mined in, fetched once per block
+	const timestamps = {};
+	const getTimestamp = async blockNumber => {
+		if (timestamps[blockNumber] === undefined) {
+			timestamps[blockNumber] = (await provider.getBlock(blockNumber)).timestamp;
+		}
+
+		return timestamps[blockNumber];
+	};
+
+	const points = [];
+	for (const currency of currencies) {
+		const currencyKey = formatBytes32String(currency);
+
+		// The aggregator of a rate can be replaced, or removed in favour of the oracle, within the range
+		const segments = await splitRange({
+			read: block => ExchangeRates.aggregators(currencyKey, { blockTag: block }),
+			fromBlock,
+			toBlock,
+		});
+
+		const series = [];
+		for (const [idx, segment] of segments.entries()) {
+			const useAggregator = segment.value !== ethers.constants.AddressZero;
+			const source = useAggregator ? segment.value : 'oracle';
+
+			if (idx > 0) {
+				const switched = useAggregator ? labelAddress(source) : 'the oracle';
+				console.log(yellow(`  > ${currency} switched to ${switched} at block ${segment.fromBlock}`));
+			}
+
+			const range = { fromBlock: segment.fromBlock, toBlock: segment.toBlock, chunkSize };
+			const segmentSeries = useAggregator
+				? await getAggregatorSeries({ provider, aggregatorAddress: source, ...range, labelAddress })
+				: await getOracleSeries({ provider, ExchangeRates, currencyKey, ...range, getTimestamp });
+
+			series.push(...segmentSeries.map(point => ({ ...point, source })));
+		}
+
+		series.forEach((point, idx) => {
+			// Seconds since the previous update, only known from the second point on
+			const sinceLastUpdate = idx > 0 ? point.timestamp - series[idx - 1].timestamp : undefined;
+
+			points.push({
+				currency: parseBytes32String(currencyKey),
+				...point,
+				sinceLastUpdate,
+				gap: sinceLastUpdate !== undefined && sinceLastUpdate > rateStalePeriod,
+			});
+		});
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Output ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (outFile) {
+		if (outFile.endsWith('.json')) {
+			const data = { network, useOvm, fromBlock, toBlock, rateStalePeriod, points };
+			fs.writeFileSync(outFile, JSON.stringify(data, null, 2));
+		} else {
+			const columns = ['currency', 'block', 'timestamp', 'rate', 'roundId', 'source', 'sinceLastUpdate', 'gap'];
+			fs.writeFileSync(outFile, formatCsv({ columns, rows: points }));
+		}
+
+		console.log(green(`${points.length} rate(s) written to ${outFile}`));
+	}
+
+	for (const currency of currencies) {
+		const series = points.filter(point => point.currency === currency);
+		const sources = [...new Set(series.map(point => point.source))].map(source => labelAddress(source));
+
+		console.log(green(`\n=== ${currency}${sources.length > 0 ? ` (${sources.join(', then ')})` : ''}: ===`));
+
+		if (series.length === 0) {
+			console.log(gray('  No rate updates in this range'));
+			continue;
+		}
+
+		if (outFile) {
+			const gaps = series.filter(point => point.gap).length;
+			console.log(gray(`  ${series.length} update(s), ${gaps} gap(s) longer than the stale period`));
+			continue;
+		}
+
+		for (const point of series) {
+			const date = new Date(point.timestamp * 1000).toISOString();
+			const round = point.roundId !== undefined ? `, round ${point.roundId}` : '';
+
+			const line = `  ${cyan(`* block ${point.block} (${date}):`)} ${point.rate}${round}`;
+			if (point.gap) {
+				console.log(yellow(`${line} after ${Math.floor(point.sinceLastUpdate / 60)} minutes without update`));
+			} else {
+				console.log(line);
+			}
+		}
+	}
+}
+
+program
+	.description('Export the price series of currencies over a block or date range')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-k, --currencies <values...>', 'The currencies to export, e.g. sETH,sBTC')
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-o, --out-file <value>', 'The path to the .csv or .json file where the series is written')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-r, --address-book <value>', 'A JSON file mapping addresses to labels', DEFAULT_ADDRESS_BOOK_FILE)
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.option('--chunk-size <value>', 'Blocks per event query, halved when the provider returns too many results', 10000)
+	.option('--from-block <value>', 'Starting block of the range')
+	.option('--from-date <value>', 'Starting date of the range, e.g. 2021-03-01')
+	.option('--to-block <value>', 'Ending block of the range, the latest if not specified')
+	.option('--to-date <value>', 'Ending date of the range, e.g. 2021-03-31T23:59:59Z')
+	.action(async (...args) => {
+		try {
+			await rateHistory(...args);
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
@@ -3,242 +3,231 @@
 require('dotenv').config();
 
 const program = require('commander');
+const ethers = require('ethers');
+const { green, red, gray } = require('chalk');
+const { formatEther, formatBytes32String, parseBytes32String } = require('ethers').utils;
 
-const { green, cyan, red } = require('chalk');
-const { formatEther, formatBytes32String } = require('ethers').utils;
-const { getSynths } = require('synthetix');
-
-const { getContract } = require('../utils/getContract');
+const { getContract, getDeploymentData } = require('../utils/getContract');
 const { setupProvider } = require('../utils/setupProvider');
+const { serializeRaw } = require('../utils/statusReport');
+const { formatCsv } = require('../utils/csv');
+const { DEFAULT_ADDRESS_BOOK_FILE, getAddressLabeler } = require('../utils/addressLabels');
+
+const SORT_ORDERS = {
+	currency: (a, b) => a.currency.localeCompare(b.currency),
+	// Oldest first
+	age: (a, b) => b.age - a.age,
+};
+
+// Pads every column to its widest value, the header included.
+function formatTable({ columns, rows }) {
+	const widths = columns.map(column => Math.max(column.length, ...rows.map(row => `${row[column]}`.length)));
+	const formatRow = values =>
+		values
+			.map((value, idx) => `${value}`.padEnd(widths[idx]))
+			.join('  ')
+			.trimEnd();
+
+	return {
+		header: formatRow(columns),
+		lines: rows.map(row => formatRow(columns.map(column => row[column]))),
+	};
+}
 
-async function rates({ network, useOvm, providerUrl }) {
+async function rates({
+	network,
+	useOvm,
+	providerUrl,
+	useFork,
+	deploymentPath,
+	block,
+	currencies,
+	sort,
+	stale,
+	json,
+	csv,
+	addressBook,
+}) {
 	/* ~~~~~~~~~~~~~~~~~~~ */
 	/* ~~~~~~ Input ~~~~~~ */
 	/* ~~~~~~~~~~~~~~~~~~~ */
 
+	if (json && csv) throw new Error('Please choose either json or csv output.');
+	if (sort && !SORT_ORDERS[sort]) throw new Error(`Unknown sort order ${sort}, use currency or age.`);
+
+	// Accept both -k sETH sBTC and -k sETH,sBTC
+	currencies = currencies ? currencies.join(',').split(',') : [];
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
 	if (!providerUrl && process.env.PROVIDER_URL) {
 		providerUrl = process.env.PROVIDER_URL.replace('network', network);
 	}
 
+	const blockOptions = { blockTag: block ? +block : 'latest' };
+
 	/* ~~~~~~~~~~~~~~~~~~~ */
 	/* ~~~~~~ Setup ~~~~~~ */
 	/* ~~~~~~~~~~~~~~~~~~~ */
 
 	const { provider } = setupProvider({ providerUrl });
 
-	/* ~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~~ General ~~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~ */
-
-	logItem('Network', network);
-	logItem('Optimism', useOvm);
-	logItem('Provider', providerUrl);
-
-	/* ~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ Synthetix ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~ */
+	const labelAddress = getAddressLabeler({ network, useOvm, deploymentPath, addressBookFile: addressBook });
 
-	logSection('Synthetix');
+	const { targets } = getDeploymentData({ network, useOvm, deploymentPath });
 
-	const Synthetix = getContract({
-		contract: 'Synthetix',
-		network,
-		useOvm,
-		provider,
-	});
+	const getRatesContract = ({ contract }) => {
+		const target = targets[contract];
+		if (!target) throw new Error(`No deployment target named ${contract}.`);
 
-	logItem('Synthetix.anySynthOrSNXRateIsInvalid', await Synthetix.anySynthOrSNXRateIsInvalid(blockOptions));
-	logItem('Synthetix.totalSupply', (await Synthetix.totalSupply(blockOptions)).toString() / 1e18);
+		return getContract({
+			contract,
+			source: target.source,
+			network,
+			useOvm,
+			provider,
+			deploymentPath,
+			silent: json || csv,
+		});
+	};
 
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ SynthetixState ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~ */
+	const ExchangeRates = getRatesContract({ contract: 'ExchangeRates' });
+	const SystemSettings = getRatesContract({ contract: 'SystemSettings' });
 
-	logSection('SynthetixState');
+	const { number, timestamp } = await provider.getBlock(blockOptions.blockTag);
 
-	const SynthetixState = getContract({
-		contract: 'SynthetixState',
-		network,
-		useOvm,
-		provider,
-	});
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Rates ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
 
-	for (const address of addresses) {
-		console.log(green('  Address:'), address);
+	let currencyKeys;
+	if (currencies.length > 0) {
+		currencyKeys = currencies.map(currency => formatBytes32String(currency));
+	} else {
+		const Issuer = getRatesContract({ contract: 'Issuer' });
 
-		const data = await SynthetixState.issuanceData(address, blockOptions);
-		logItem('SynthetixState.issuanceData(address)', data.toString());
+		currencyKeys = [...(await Issuer.availableCurrencyKeys(blockOptions)), formatBytes32String('SNX')];
 	}
 
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ SupplySchedule  ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~~ */
-
-	logSection('SupplySchedule');
-
-	const SupplySchedule = getContract({
-		contract: 'SupplySchedule',
-		source: useOvm ? 'FixedSupplySchedule' : 'SupplySchedule',
-		network,
-		useOvm,
-		provider,
-	});
-
-	const supply = formatEther(await SupplySchedule.mintableSupply(blockOptions));
-	logItem('SupplySchedule.mintableSupply', supply);
-
-	if (useOvm) {
-		logItem(
-			'FixedSupplySchedule.inflationStartDate',
-			new Date((await SupplySchedule.inflationStartDate(blockOptions)).toString() * 1000),
-		);
-
-		const lastMint = (await SupplySchedule.lastMintEvent(blockOptions)).toNumber();
-		logItem('FixedSupplySchedule.lastMintEvent', lastMint);
-		const mintPeriod = (await SupplySchedule.mintPeriodDuration(blockOptions)).toNumber();
-		logItem('FixedSupplySchedule.mintPeriodDuration', mintPeriod);
-
-		const now = Math.floor(new Date().getTime() / 1000);
-
-		const remainingHours = (lastMint + mintPeriod - now) / (60 * 60);
-		logItem('Remaining hours until period ends', remainingHours);
-
-		logItem('FixedSupplySchedule.mintBuffer', (await SupplySchedule.mintBuffer(blockOptions)).toString());
-		logItem(
-			'FixedSupplySchedule.periodsSinceLastIssuance',
-			(await SupplySchedule.periodsSinceLastIssuance(blockOptions)).toString(),
-		);
+	const rateStalePeriod = await SystemSettings.rateStalePeriod(blockOptions);
+
+	let rows = await Promise.all(
+		currencyKeys.map(async currencyKey => {
+			const [rate, lastRateUpdateTime, isStale, isInvalid, aggregator] = await Promise.all([
+				ExchangeRates.rateForCurrency(currencyKey, blockOptions),
+				ExchangeRates.lastRateUpdateTimes(currencyKey, blockOptions),
+				ExchangeRates.rateIsStale(currencyKey, blockOptions),
+				ExchangeRates.rateIsInvalid(currencyKey, blockOptions),
+				ExchangeRates.aggregators(currencyKey, blockOptions),
+			]);
+
+			return {
+				currency: parseBytes32String(currencyKey),
+				rate,
+				lastRateUpdateTime,
+				// Relative to the block that was read, so that historical reads make sense
+				age: timestamp - +lastRateUpdateTime.toString(),
+				isStale,
+				isInvalid,
+				// Rates without an aggregator are pushed by the oracle
+				aggregator: aggregator !== ethers.constants.AddressZero ? aggregator : undefined,
+			};
+		}),
+	);
+
+	if (stale) {
+		rows = rows.filter(row => row.isStale || row.isInvalid);
 	}
-
-	/* ~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ FeePool ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~ */
-
-	logSection('FeePool');
-
-	const FeePool = await getContract({
-		contract: 'FeePool',
-		network,
-		useOvm,
-		provider,
-	});
-
-	logItem('FeePool.feePeriodDuration', (await FeePool.feePeriodDuration(blockOptions)).toString());
-
-	async function feePeriodInfo(idx) {
-		const feePeriod = await FeePool.recentFeePeriods(idx, blockOptions);
-		logItem(`feePeriod ${idx}:`);
-
-		Object.keys(feePeriod).map(key => {
-			if (isNaN(key)) {
-				logItem(`${key}`, `${feePeriod[key].toString()}`, 2);
-			}
-		});
-
-		logItem('startTime:', new Date(feePeriod.startTime.toString() * 1000), 2);
+	if (sort) {
+		rows.sort(SORT_ORDERS[sort]);
 	}
 
-	await feePeriodInfo(0);
-	await feePeriodInfo(1);
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Output ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
 
-	for (const address of addresses) {
-		console.log(green('  Address:'), address);
+	if (json) {
+		const report = {
+			network,
+			useOvm,
+			block: { number, timestamp },
+			rateStalePeriod: serializeRaw(rateStalePeriod),
+			rates: serializeRaw(rows),
+		};
+		console.log(JSON.stringify(report, null, 2));
+
+		return;
+	}
 
-		const feesByPeriod = await FeePool.feesByPeriod(address, blockOptions);
-		logItem(
-			'FeePool.feesByPeriod(address)',
-			feesByPeriod.map(period => period.map(fee => fee.toString())),
-			2,
+	if (csv) {
+		const columns = ['block', 'timestamp', 'currency', 'rate', 'lastRateUpdateTime', 'age', 'isStale', 'isInvalid'];
+
+		process.stdout.write(
+			formatCsv({
+				columns: [...columns, 'aggregator'],
+				rows: rows.map(row => ({
+					...row,
+					block: number,
+					timestamp,
+					rate: formatEther(row.rate),
+					lastRateUpdateTime: row.lastRateUpdateTime.toString(),
+				})),
+			}),
 		);
 
-		const lastFeeWithdrawal = await FeePool.getLastFeeWithdrawal(address, blockOptions);
-		logItem('FeePool.getLastFeeWithdrawal(address)', lastFeeWithdrawal.toString(), 2);
-
-		const effectiveDebtRatioForPeriod = await FeePool.effectiveDebtRatioForPeriod(address, 1, blockOptions);
-		logItem(`FeePool.effectiveDebtRatioForPeriod(${address}, 1)`, effectiveDebtRatioForPeriod.toString(), 2);
+		return;
 	}
 
-	/* ~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ FeePoolState ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~ */
-
-	logSection('FeePoolState');
-
-	const FeePoolState = getContract({
-		contract: 'FeePoolState',
-		network,
-		useOvm,
-		provider,
-	});
+	const stalePeriod = Math.floor(+rateStalePeriod.toString() / 60);
+	console.log(gray(`  > Block ${number} (${new Date(timestamp * 1000).toISOString()})`));
+	console.log(gray(`  > Rates are stale after ${stalePeriod} minutes`));
 
-	for (const address of addresses) {
-		console.log(green('  Address:'), address);
+	if (rows.length === 0) {
+		console.log(gray(`\n  No ${stale ? 'stale or invalid ' : ''}rates`));
 
-		const debtEntry = await FeePoolState.getAccountsDebtEntry(address, 0, blockOptions);
-		logItem(
-			'FeePoolState.getAccountsDebtEntry(address)',
-			debtEntry.map(item => item.toString()),
-		);
+		return;
 	}
 
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ AddressResolver ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~~ */
-
-	logSection('AddressResolver');
-
-	const AddressResolver = getContract({
-		contract: 'AddressResolver',
-		network,
-		useOvm,
-		provider,
+	const { header, lines } = formatTable({
+		columns: ['Currency', 'Rate', 'Updated', 'Age', 'Stale', 'Invalid', 'Aggregator'],
+		rows: rows.map(row => ({
+			Currency: row.currency,
+			Rate: formatEther(row.rate),
+			Updated: new Date(row.lastRateUpdateTime.toString() * 1000).toISOString(),
+			Age: `${Math.floor(row.age / 60)}m`,
+			Stale: row.isStale ? 'yes' : 'no',
+			Invalid: row.isInvalid ? 'yes' : 'no',
+			Aggregator: row.aggregator ? labelAddress(row.aggregator) : 'none',
+		})),
 	});
 
-	const getAddress = async ({ contract }) => {
-		logItem(
-			`AddressResolver.getAddress(${contract})`,
-			await AddressResolver.getAddress(formatBytes32String(contract), blockOptions),
-		);
-	};
-
-	await getAddress({ contract: 'RewardsDistribution' });
-
-	/* ~~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ ExchangeRates ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~~ */
+	console.log(green(`\n  ${header}`));
+	lines.forEach((line, idx) => {
+		const row = rows[idx];
 
-	logSection('ExchangeRates');
-
-	const ExchangeRates = getContract({
-		contract: 'ExchangeRates',
-		network,
-		useOvm,
-		provider,
+		console.log(row.isStale || row.isInvalid ? red(`  ${line}`) : `  ${line}`);
 	});
-
-	const logRate = async currency => {
-		const rate = await ExchangeRates.rateForCurrency(formatBytes32String(currency), blockOptions);
-		const updated = await ExchangeRates.lastRateUpdateTimes(formatBytes32String(currency), blockOptions);
-		logItem(`${currency} rate:`, `${formatEther(rate)} (${new Date(updated.toString() * 1000)})`);
-	};
-
-	await logRate('SNX');
-
-	const synths = getSynths();
-	for (const synth of synths) {
-		await logRate(synth.name);
-	}
 }
+
 program
-	.description('Query state of the system on any network')
-	.option('-a, --addresses <values...>', 'Addresses to perform particular checks on')
-	.option('-b, --block <value>', 'Block number to check again')
+	.description('Inspect the rate, age and aggregator of every currency')
+	.option('-b, --block <value>', 'Block number to read the rates at')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-j, --json', 'Print the rates as a JSON document with raw values', false)
+	.option('-k, --currencies <values...>', 'Only read the rates of these currencies, e.g. sETH,sBTC')
 	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
 	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-r, --address-book <value>', 'A JSON file mapping addresses to labels', DEFAULT_ADDRESS_BOOK_FILE)
+	.option('-s, --sort <value>', 'Sort the rates by currency, or by age with the oldest first')
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
 	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.option('--csv', 'Print the rates as CSV, one line per currency', false)
+	.option('--stale', 'Only show rates that are stale or invalid', false)
 	.action(async (...args) => {
 		try {
-			await status(...args);
+			await rates(...args);
 		} catch (err) {
 			console.error(red(err));
 			console.log(err.stack);
@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+const program = require('commander');
+const yaml = require('js-yaml');
+const ethers = require('ethers');
+const { gray, green, cyan, red } = require('chalk');
+const { wrap } = require('synthetix');
+
+const { getDeploymentData } = require('../utils/getContract');
+const { setupProvider } = require('../utils/setupProvider');
+const { stageTx, runTx } = require('../utils/runTx');
+const { logReceipt, logError, findReason } = require('../utils/prettyLog');
+const { getLogDecoder } = require('../utils/decodeLog');
+const { parseInput, formatInput } = require('../utils/parseInput');
+const { resolveCall, isViewFunction } = require('../utils/resolveCall');
+const { serializeValue } = require('../utils/history');
+const { loadSafeBatch, addToSafeBatch, writeSafeBatch } = require('../utils/safeBatch');
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte'];
+const SUCCESS_STATUSES = ['success', 'batched'];
+
+function loadManifest(manifestPath) {
+	const content = fs.readFileSync(manifestPath, 'utf8');
+	const data = manifestPath.match(/\.ya?ml$/) ? yaml.safeLoad(content) : JSON.parse(content);
+
+	const steps = Array.isArray(data) ? data : data.steps;
+	if (!Array.isArray(steps)) throw new Error(`Manifest ${manifestPath} must contain a list of steps.`);
+
+	steps.map((step, idx) => {
+		if (!step.contract || !step.function) {
+			throw new Error(`Step ${idx} must specify a contract and a function.`);
+		}
+	});
+
+	return steps;
+}
+
+// Evaluates an assertion like { output: 'rate', gt: '100 ether' } against a view result.
+function checkAssertion({ abiItem, result, assertion }) {
+	let outputIndex = 0;
+	if (assertion.output !== undefined) {
+		outputIndex =
+			typeof assertion.output === 'number'
+				? assertion.output
+				: abiItem.outputs.findIndex(output => output.name === assertion.output);
+	}
+
+	const output = abiItem.outputs[outputIndex];
+	if (!output) throw new Error(`Output ${assertion.output} not found in ${abiItem.name}.`);
+
+	const actual = abiItem.outputs.length > 1 ? result[outputIndex] : result;
+
+	const checks = [];
+	for (const operator of Object.keys(assertion).filter(key => key !== 'output')) {
+		if (!OPERATORS.includes(operator)) {
+			throw new Error(`Unknown assertion operator ${operator}, use one of ${OPERATORS.join(', ')}.`);
+		}
+
+		const expected = parseInput({ input: output, value: assertion[operator] });
+
+		let passed;
+		if (ethers.BigNumber.isBigNumber(actual)) {
+			passed = operator === 'neq' ? !actual.eq(expected) : actual[operator](expected);
+		} else if (operator === 'eq' || operator === 'neq') {
+			const equal =
+				JSON.stringify(serializeValue(actual)).toLowerCase() === JSON.stringify(serializeValue(expected)).toLowerCase();
+			passed = operator === 'eq' ? equal : !equal;
+		} else {
+			throw new Error(`Operator ${operator} can only be used with numeric outputs.`);
+		}
+
+		checks.push({
+			output: output.name || outputIndex,
+			operator,
+			expected: assertion[operator],
+			actual: serializeValue(actual),
+			passed,
+		});
+	}
+
+	return checks;
+}
+
+async function runScript({
+	manifest,
+	outFile,
+	continueOnError,
+	network,
+	useOvm,
+	providerUrl,
+	useFork,
+	gasPrice,
+	gasLimit,
+	deploymentPath,
+	privateKey,
+	safeBatchFile,
+	safeAddress,
+}) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (!manifest) throw new Error('Please specify a path to a manifest file.');
+	if (!fs.existsSync(manifest)) throw new Error(`No file at ${manifest}.`);
+
+	const steps = loadManifest(manifest);
+
+	let publicKey;
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+
+		if (!privateKey) {
+			const { getUsers } = wrap({ network, useOvm, fs, path });
+			publicKey = getUsers({ user: 'owner' }).address;
+		}
+	}
+
+	if (!privateKey && process.env.PRIVATE_KEY) {
+		privateKey = process.env.PRIVATE_KEY;
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	// When batching for a Safe, write steps are recorded instead of signed
+	const { provider, wallet } = setupProvider({
+		providerUrl,
+		privateKey: safeBatchFile ? undefined : privateKey,
+		publicKey: safeBatchFile ? undefined : publicKey,
+	});
+
+	let safeBatch;
+	if (safeBatchFile) {
+		if (!safeAddress) {
+			const { getUsers } = wrap({ network, useOvm, fs, path });
+			safeAddress = getUsers({ user: 'owner' }).address;
+		}
+
+		const { chainId } = await provider.getNetwork();
+		safeBatch = loadSafeBatch({ batchFile: safeBatchFile, chainId, safeAddress });
+		console.log(gray(`  > Adding write steps to Safe batch ${safeBatchFile} for Safe ${safeAddress}`));
+	}
+
+	const deploymentData = getDeploymentData({ network, useOvm, deploymentPath });
+	const decodeLog = getLogDecoder({ deploymentData });
+
+	const overrides = {
+		gasPrice: ethers.utils.parseUnits(`${gasPrice}`, 'gwei'),
+		gasLimit,
+	};
+
+	const results = {
+		manifest,
+		network,
+		useOvm,
+		signer: wallet ? wallet.address : undefined,
+		safeBatchFile,
+		startedAt: new Date().toISOString(),
+		success: true,
+		steps: [],
+	};
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Steps ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	async function runStep(step, record) {
+		const call = resolveCall({
+			contract: step.contract,
+			functionName: step.function,
+			args: step.args,
+			value: step.value,
+			network,
+			useOvm,
+			deploymentPath,
+			signerOrProvider: wallet || provider,
+		});
+		record.signature = call.functionSignature;
+		console.log(gray(`  > ${step.contract} => ${call.target.address}`));
+		console.log(gray('  > processed inputs:', formatInput({ value: call.inputs })));
+
+		if (isViewFunction(call.abiItem)) {
+			const result = await call.contract[call.functionSignature](...call.inputs);
+			record.result = serializeValue(result);
+			console.log(cyan('  ↪'), formatInput({ value: result }));
+
+			if (step.assert) {
+				const assertions = Array.isArray(step.assert) ? step.assert : [step.assert];
+
+				record.assertions = [];
+				for (const assertion of assertions) {
+					record.assertions.push(...checkAssertion({ abiItem: call.abiItem, result, assertion }));
+				}
+
+				for (const check of record.assertions) {
+					const msg = `  > assert ${check.output} ${check.operator} ${check.expected} (actual ${check.actual})`;
+					console.log(check.passed ? green(msg) : red(msg));
+				}
+
+				if (record.assertions.some(check => !check.passed)) {
+					record.status = 'assertion-failed';
+
+					return;
+				}
+			}
+
+			record.status = 'success';
+
+			return;
+		}
+
+		if (step.assert) throw new Error('Assertions can only be used on view functions.');
+
+		if (safeBatch) {
+			const transaction = addToSafeBatch({
+				batch: safeBatch,
+				contractName: step.contract,
+				contract: call.contract,
+				abiItem: call.abiItem,
+				inputs: call.inputs,
+				value: call.value,
+			});
+			writeSafeBatch({ batch: safeBatch, batchFile: safeBatchFile });
+
+			record.status = 'batched';
+			record.to = transaction.to;
+			record.data = transaction.data;
+
+			return;
+		}
+
+		if (!wallet) throw new Error('No signer available for a write step, specify a private key.');
+
+		const txOverrides = call.value ? { ...overrides, value: call.value } : overrides;
+
+		console.log(gray(`  > Staging transaction... ${new Date()}`));
+		let result = await stageTx({
+			txPromise: call.contract[call.functionSignature](...call.inputs, txOverrides),
+			provider,
+		});
+
+		if (result.success) {
+			console.log(gray(`  > Sending transaction... ${result.tx.hash}`));
+			record.txHash = result.tx.hash;
+
+			result = await runTx({
+				tx: result.tx,
+				provider,
+			});
+		}
+
+		if (result.success) {
+			logReceipt(result.receipt, call.contract, decodeLog);
+
+			record.status = 'success';
+			record.blockNumber = result.receipt.blockNumber;
+			record.gasUsed = result.receipt.gasUsed.toString();
+		} else {
+			logError(result.error);
+
+			record.status = 'failed';
+			record.error = findReason(result.error) || result.error.message;
+		}
+	}
+
+	for (let i = 0; i < steps.length; i++) {
+		const step = steps[i];
+		console.log(cyan(`\nStep ${i + 1}/${steps.length}: ${step.contract}.${step.function}`));
+
+		const record = {
+			index: i,
+			contract: step.contract,
+			function: step.function,
+			args: step.args || [],
+			value: step.value,
+		};
+		results.steps.push(record);
+
+		try {
+			await runStep(step, record);
+		} catch (err) {
+			logError(err);
+
+			record.status = 'failed';
+			record.error = findReason(err) || err.message;
+		}
+
+		if (!SUCCESS_STATUSES.includes(record.status)) {
+			results.success = false;
+
+			if (!continueOnError) {
+				console.log(red('Stopping after failed step.'));
+				break;
+			}
+		}
+
+		fs.writeFileSync(outFile, JSON.stringify(results, null, 2));
+	}
+
+	results.finishedAt = new Date().toISOString();
+	fs.writeFileSync(outFile, JSON.stringify(results, null, 2));
+
+	const failed = results.steps.filter(record => !SUCCESS_STATUSES.includes(record.status)).length;
+	console.log(results.success ? green('\nAll steps succeeded.') : red(`\n${failed} step(s) failed.`));
+	console.log(gray(`Results written to ${outFile}`));
+
+	if (!results.success) {
+		process.exitCode = 1;
+	}
+}
+
+program
+	.description('Run a sequence of contract calls specified in a JSON or YAML manifest')
+	.option('-c, --continue-on-error', 'Keep running steps after one fails', false)
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-g, --gas-price <value>', 'Gas price to set when performing transfers', 1)
+	.option('-k, --private-key <value>', 'Private key to use to sign txs')
+	.option('-l, --gas-limit <value>', 'Max gas to use when signing transactions', 8000000)
+	.option('-m, --manifest <value>', 'The path to the JSON or YAML file containing the steps to run')
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-o, --out-file <value>', 'The path to the JSON file where results are written', 'script-results.json')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-s, --safe-batch-file <value>', 'Add write steps to a Safe batch file instead of sending them')
+	.option('-t, --safe-address <value>', 'The Safe that will execute the batch (defaults to the owner)')
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.action(async (...args) => {
+		try {
+			await runScript(...args);
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
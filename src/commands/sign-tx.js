@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const program = require('commander');
+const inquirer = require('inquirer');
+const ethers = require('ethers');
+const { gray, green, yellow, red } = require('chalk');
+
+const { getKeystoreWallet } = require('../utils/setupProvider');
+const {
+	readTxFile,
+	writeTxFile,
+	deserializeTransaction,
+	decodeTransaction,
+	describeTransaction,
+} = require('../utils/txFile');
+
+// Does not connect to any network, so that it can be run on an air-gapped machine.
+async function signTx({ inFile, outFile, privateKey, keystore, network, useOvm, deploymentPath, yes }) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const data = readTxFile({ file: inFile });
+
+	if (!outFile) throw new Error('Please specify a path to an output JSON file.');
+	if (!privateKey && !keystore) throw new Error('Please specify a private key or a keystore.');
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	let wallet;
+	if (keystore) {
+		let password = process.env.KEYSTORE_PASSWORD;
+		if (!password) {
+			({ password } = await inquirer.prompt([
+				{
+					type: 'password',
+					name: 'password',
+					message: `Password for ${keystore}:`,
+					mask: '*',
+				},
+			]));
+		}
+
+		console.log(gray('  > Decrypting keystore...'));
+		wallet = await getKeystoreWallet({ keystorePath: keystore, password });
+	} else {
+		wallet = new ethers.Wallet(privateKey);
+	}
+
+	if (wallet.address.toLowerCase() !== data.from.toLowerCase()) {
+		throw new Error(`Transaction was built for ${data.from}, but the key belongs to ${wallet.address}.`);
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Review ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	// Reviewed from the transaction data itself, the call stored in the file is only a description
+	const decoded = decodeTransaction({ data, network, useOvm, deploymentPath });
+
+	console.log(yellow('Please review this transaction before signing it:'));
+	console.log(gray('================================================================================'));
+	describeTransaction({ data, decoded }).map(line => console.log(gray(`> ${line}`)));
+	console.log(gray('================================================================================'));
+
+	if (!yes) {
+		const { confirmation } = await inquirer.prompt([
+			{
+				type: 'confirm',
+				name: 'confirmation',
+				message: 'Sign transaction?',
+				default: false,
+			},
+		]);
+
+		if (!confirmation) {
+			console.log(red('User cancelled'));
+
+			return;
+		}
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~~ Sign ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const signedTransaction = await wallet.signTransaction(deserializeTransaction(data.transaction));
+
+	writeTxFile({
+		file: outFile,
+		data: {
+			...data,
+			signedTransaction,
+			hash: ethers.utils.keccak256(signedTransaction),
+		},
+	});
+
+	console.log(gray(`  > tx hash: ${ethers.utils.keccak256(signedTransaction)}`));
+	console.log(green(`Signed transaction written to ${outFile}`));
+}
+
+program
+	.description('Sign a transaction built with build-tx, without connecting to any network')
+	.option('-i, --in-file <value>', 'The path to the JSON file containing the unsigned transaction')
+	.option('-k, --private-key <value>', 'Private key to use to sign the transaction')
+	.option('-n, --network <value>', 'The network the transaction is decoded against', x => x.toLowerCase(), 'mainnet')
+	.option('-o, --out-file <value>', 'The path to the JSON file where the signed transaction is written')
+	.option(
+		'-s, --keystore <value>',
+		'JSON keystore to use to sign the transaction, password is prompted or read from KEYSTORE_PASSWORD',
+	)
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.option('--yes', 'Sign without asking for confirmation', false)
+	.action(async (...args) => {
+		try {
+			await signTx(...args);
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const fs = require('fs');
+
+const program = require('commander');
+const { gray, red } = require('chalk');
+
+const { getContract, getDeploymentData } = require('../utils/getContract');
+const { setupProvider } = require('../utils/setupProvider');
+const { takeSnapshot, logSnapshot } = require('../utils/snapshot');
+const { DEFAULT_ADDRESS_BOOK_FILE, getAddressLabeler } = require('../utils/addressLabels');
+
+async function snapshot({
+	network,
+	useOvm,
+	providerUrl,
+	useFork,
+	deploymentPath,
+	contract,
+	addresses,
+	keys,
+	block,
+	outFile,
+	addressBook,
+}) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (!contract) throw new Error('Please specify a contract.');
+
+	// Accept both -k sUSD sETH and -k sUSD,sETH
+	addresses = addresses ? addresses.join(',').split(',') : [];
+	keys = keys ? keys.join(',').split(',') : [];
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	const blockTag = block ? +block : 'latest';
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const { provider } = setupProvider({ providerUrl });
+
+	const deploymentData = getDeploymentData({ network, useOvm, deploymentPath });
+	const { targets, sources } = deploymentData;
+
+	const labelAddress = getAddressLabeler({ network, useOvm, deploymentData, addressBookFile: addressBook });
+
+	const target = targets[contract];
+	if (!target) throw new Error(`No deployment target named ${contract}.`);
+
+	const instance = getContract({
+		contract,
+		source: target.source,
+		network,
+		useOvm,
+		provider,
+		deploymentPath,
+	});
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~ Snapshot ~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const result = await takeSnapshot({
+		contractName: contract,
+		contract: instance,
+		abi: sources[target.source].abi,
+		addresses,
+		keys,
+		blockTag,
+	});
+
+	logSnapshot(result, labelAddress);
+
+	if (outFile) {
+		fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+		console.log(gray(`Snapshot written to ${outFile}`));
+	}
+}
+
+program
+	.description('Query every view of a contract and print or save the results as JSON')
+	.option('-a, --addresses <values...>', 'Addresses to query views taking a single address argument with')
+	.option('-b, --block <value>', 'Block number to query at')
+	.option('-c, --contract <value>', 'The name of the deployment target to query')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-k, --keys <values...>', 'Keys to query views taking a single bytes32 argument with, e.g. sUSD')
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-o, --out-file <value>', 'The path to the JSON file where the snapshot is written')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-r, --address-book <value>', 'A JSON file mapping addresses to labels', DEFAULT_ADDRESS_BOOK_FILE)
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.action(async (...args) => {
+		try {
+			await snapshot(...args);
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
@@ -2,19 +2,57 @@
 
 require('dotenv').config();
 
+const fs = require('fs');
+const path = require('path');
+
 const program = require('commander');
 
-const { green, cyan, red, bgRed } = require('chalk');
-const { formatEther, formatBytes32String, toUtf8String } = require('ethers').utils;
-const { getContract } = require('../utils/getContract');
+const { green, cyan, red, gray, yellow, bgRed } = require('chalk');
 const { setupProvider } = require('../utils/setupProvider');
-
-async function status({ network, useOvm, providerUrl, addresses, block, useFork, deploymentPath }) {
+const { getStatusReport, getItemKey, diffReports, getChangedFields } = require('../utils/statusReport');
+const { registerStatusSection } = require('../utils/statusSections');
+const { DEFAULT_ADDRESS_BOOK_FILE, getAddressLabeler } = require('../utils/addressLabels');
+const { EXIT_CODES, loadThresholds, runHealthChecks, summarizeHealth } = require('../utils/healthCheck');
+
+async function status({
+	network,
+	useOvm,
+	providerUrl,
+	addresses,
+	sections,
+	sectionModules,
+	currencies,
+	block,
+	useFork,
+	deploymentPath,
+	addressBook,
+	json,
+	ndjson,
+	check,
+	thresholds,
+	watch,
+	changeLog,
+	mode,
+	from,
+	to,
+}) {
 	/* ~~~~~~~~~~~~~~~~~~~ */
 	/* ~~~~~~ Input ~~~~~~ */
 	/* ~~~~~~~~~~~~~~~~~~~ */
 
-	addresses = addresses ? addresses.split(',') : [];
+	// Accept both -a 0x1 0x2 and -a 0x1,0x2
+	addresses = addresses ? addresses.join(',').split(',') : [];
+	sections = sections ? sections.join(',').split(',') : [];
+	sectionModules = sectionModules ? sectionModules.join(',').split(',') : [];
+	currencies = currencies ? currencies.join(',').split(',') : [];
+
+	// Extra sections are read after the built-in ones, and can be selected with --sections like them
+	for (const sectionModule of sectionModules) {
+		const modulePath = path.resolve(sectionModule);
+		if (!fs.existsSync(modulePath)) throw new Error(`No status section module at ${modulePath}.`);
+
+		registerStatusSection(require(modulePath));
+	}
 
 	if (!providerUrl && process.env.PROVIDER_URL) {
 		providerUrl = process.env.PROVIDER_URL.replace('network', network);
@@ -22,6 +60,27 @@ async function status({ network, useOvm, providerUrl, addresses, block, useFork,
 
 	const blockOptions = { blockTag: block ? +block : 'latest' };
 
+	const healthThresholds = check ? loadThresholds({ thresholdsFile: thresholds }) : undefined;
+
+	if (mode && mode !== 'diff') throw new Error(`Unknown mode ${mode}, the only mode is diff.`);
+
+	if (mode === 'diff') {
+		if (!from) throw new Error('Please specify the block to diff from with --from.');
+		if (!`${from}`.match(/^\d+$/)) throw new Error(`Invalid block ${from} for --from, expected a block number.`);
+		if (to !== 'latest' && !`${to}`.match(/^\d+$/)) {
+			throw new Error(`Invalid block ${to} for --to, expected a block number or latest.`);
+		}
+		if (ndjson || check || watch || block) {
+			throw new Error('Diff mode can not be combined with ndjson output, checks, watch mode or a block.');
+		}
+	}
+
+	if (watch) {
+		if (json || ndjson || check) throw new Error('Watch mode can not be combined with json output or checks.');
+		if (block) throw new Error('Watch mode always reads the latest block, it can not be combined with a block.');
+		if (watch !== 'block' && !(+watch > 0)) throw new Error(`Invalid watch interval ${watch}.`);
+	}
+
 	/* ~~~~~~~~~~~~~~~~~~~ */
 	/* ~~~~~~ Setup ~~~~~~ */
 	/* ~~~~~~~~~~~~~~~~~~~ */
@@ -32,323 +91,274 @@ async function status({ network, useOvm, providerUrl, addresses, block, useFork,
 
 	const { provider } = setupProvider({ providerUrl });
 
-	/* ~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ Log utils ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~ */
+	const labelAddress = getAddressLabeler({ network, useOvm, deploymentPath, addressBookFile: addressBook });
+
+	const readReport = blockTag =>
+		getStatusReport({
+			network,
+			useOvm,
+			provider,
+			providerUrl,
+			deploymentPath,
+			addresses,
+			sections,
+			currencies,
+			blockTag,
+			labelAddress,
+			// Logs would corrupt machine readable output, or the redrawn screen
+			silent: json || ndjson || check || watch || mode === 'diff',
+		});
 
-	const logSection = sectionName => {
-		console.log(green(`\n=== ${sectionName}: ===`));
-	};
+	if (mode === 'diff') {
+		await diffStatus({ readReport, labelAddress, from: +from, to: to === 'latest' ? to : +to, json });
 
-	const logItem = (itemName, itemValue, indent = 1, color = undefined) => {
-		const hasValue = itemValue !== undefined;
-		const spaces = '  '.repeat(indent);
-		const name = cyan(`* ${itemName}${hasValue ? ':' : ''}`);
-		const value = hasValue ? itemValue : '';
-
-		if (color) {
-			console.log(color(spaces, name, value));
-		} else {
-			console.log(spaces, name, value);
-		}
-	};
+		return;
+	}
 
-	/* ~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~~ General ~~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~ */
+	if (watch) {
+		await watchStatus({ provider, readReport, labelAddress, watch, changeLog });
 
-	logSection('Info');
+		return;
+	}
 
-	logItem('Network', network);
-	logItem('Deployment', deploymentPath);
-	logItem('Optimism', useOvm);
-	logItem('Block #', blockOptions.blockTag);
-	logItem('Provider', providerUrl);
+	const report = await readReport(blockOptions.blockTag);
 
 	/* ~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ Synthetix ~~~~ */
+	/* ~~~~~~ Output ~~~~~ */
 	/* ~~~~~~~~~~~~~~~~~~~ */
 
-	logSection('Synthetix');
+	let health;
+	if (check) {
+		const checks = runHealthChecks({ report, thresholds: healthThresholds });
 
-	const Synthetix = getContract({
-		contract: 'Synthetix',
-		source: useOvm ? 'MintableSynthetix' : 'Synthetix',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
-
-	const anySynthOrSNXRateIsInvalid = await Synthetix.anySynthOrSNXRateIsInvalid(blockOptions);
-	logItem(
-		'Synthetix.anySynthOrSNXRateIsInvalid',
-		anySynthOrSNXRateIsInvalid,
-		1,
-		anySynthOrSNXRateIsInvalid ? bgRed : undefined,
-	);
-
-	logItem('Synthetix.totalSupply', (await Synthetix.totalSupply(blockOptions)).toString() / 1e18);
-
-	/* ~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ DebtCache ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~ */
-
-	logSection('DebtCache');
-
-	const DebtCache = getContract({
-		contract: 'DebtCache',
-		source: useOvm ? 'RealtimeDebtCache' : 'DebtCache',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
+		health = summarizeHealth(checks);
+		report.health = { status: health.status, summary: health.summary, checks };
 
-	const info = await DebtCache.cacheInfo();
-
-	logItem('DebgCache.info.isInvalid', info.isInvalid, 1, info.isInvalid ? bgRed : undefined);
-
-	logItem('DebgCache.info.isStale', info.isStale, 1, info.isStale ? bgRed : undefined);
-
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ SynthetixState ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~ */
-
-	logSection('SynthetixState');
-
-	const SynthetixState = getContract({
-		contract: 'SynthetixState',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
+		process.exitCode = health.exitCode;
+	}
 
-	for (const address of addresses) {
-		console.log(green('  Address:'), address);
+	if (json) {
+		console.log(JSON.stringify(report, null, 2));
+	} else if (ndjson) {
+		// One line per item, each carrying the block it was read at
+		for (const { name, items } of report.sections) {
+			for (const item of items) {
+				console.log(JSON.stringify({ section: name, block: report.block, ...item }));
+			}
+		}
+	} else if (health) {
+		console.log(health.summary);
 
-		const data = await SynthetixState.issuanceData(address, blockOptions);
-		logItem('SynthetixState.issuanceData(address)', data.toString());
+		for (const failing of health.failing) {
+			console.log(`${failing.status.toUpperCase()}: ${failing.message}`);
+		}
+	} else {
+		printReport({ report, labelAddress });
 	}
+}
 
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ SupplySchedule  ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~~ */
+// Prints only the values that changed between two blocks, with deltas for numeric values.
+async function diffStatus({ readReport, labelAddress, from, to, json }) {
+	const [fromReport, toReport] = await Promise.all([readReport(from), readReport(to)]);
 
-	logSection('SupplySchedule');
+	const changes = diffReports({ from: fromReport, to: toReport }).map(change => ({
+		...change,
+		fields: getChangedFields(change),
+	}));
 
-	const SupplySchedule = getContract({
-		contract: 'SupplySchedule',
-		source: useOvm ? 'FixedSupplySchedule' : 'SupplySchedule',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
+	if (json) {
+		console.log(JSON.stringify({ from: fromReport.block, to: toReport.block, changes }, null, 2));
 
-	const supply = formatEther(await SupplySchedule.mintableSupply(blockOptions));
-	logItem('SupplySchedule.mintableSupply', supply);
+		return;
+	}
 
-	if (useOvm) {
-		logItem(
-			'FixedSupplySchedule.inflationStartDate',
-			new Date((await SupplySchedule.inflationStartDate(blockOptions)).toString() * 1000),
-		);
+	const describeBlock = ({ number, timestamp }) => `block ${number} (${new Date(timestamp * 1000).toISOString()})`;
+	console.log(green(`\n=== Changes from ${describeBlock(fromReport.block)} to ${describeBlock(toReport.block)}: ===`));
 
-		const lastMint = (await SupplySchedule.lastMintEvent(blockOptions)).toNumber();
-		logItem('FixedSupplySchedule.lastMintEvent', lastMint);
-		const mintPeriod = (await SupplySchedule.mintPeriodDuration(blockOptions)).toNumber();
-		logItem('FixedSupplySchedule.mintPeriodDuration', mintPeriod);
+	if (changes.length === 0) {
+		console.log(gray('  No changes'));
 
-		const now = Math.floor(new Date().getTime() / 1000);
+		return;
+	}
 
-		const remainingHours = (lastMint + mintPeriod - now) / (60 * 60);
-		logItem('Remaining hours until period ends', remainingHours);
+	const formatValue = value => {
+		if (value === undefined) return 'n/a';
 
-		logItem('FixedSupplySchedule.mintBuffer', (await SupplySchedule.mintBuffer(blockOptions)).toString());
-		logItem(
-			'FixedSupplySchedule.periodsSinceLastIssuance',
-			(await SupplySchedule.periodsSinceLastIssuance(blockOptions)).toString(),
-		);
-	}
+		return typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+	};
 
-	/* ~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ FeePool ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~ */
+	const formatField = ({ from, to, delta, percent }) => {
+		let deltas = '';
+		if (delta !== undefined) {
+			const percentage = percent !== undefined ? `, ${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%` : '';
+			deltas = ` (${delta}${percentage})`;
+		}
 
-	logSection('FeePool');
+		return `${formatValue(from)} → ${formatValue(to)}${deltas}`;
+	};
 
-	const FeePool = getContract({
-		contract: 'FeePool',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
+	const sectionNames = [...new Set(changes.map(change => change.sectionName))];
+	for (const sectionName of sectionNames) {
+		console.log(green(`\n=== ${sectionName}: ===`));
 
-	logItem('FeePool.feePeriodDuration', (await FeePool.feePeriodDuration(blockOptions)).toString());
+		for (const change of changes.filter(change => change.sectionName === sectionName)) {
+			const label = [change.group, change.address && labelAddress(change.address), change.name]
+				.filter(part => part !== undefined)
+				.join(' / ');
 
-	async function feePeriodInfo(idx) {
-		const feePeriod = await FeePool.recentFeePeriods(idx, blockOptions);
-		logItem(`feePeriod ${idx}:`);
+			if (change.fields.length === 1 && change.fields[0].field === undefined) {
+				console.log('  ', cyan(`* ${label}:`), formatField(change.fields[0]));
+			} else {
+				console.log('  ', cyan(`* ${label}:`));
 
-		Object.keys(feePeriod).map(key => {
-			if (isNaN(key)) {
-				logItem(`${key}`, `${feePeriod[key].toString()}`, 2);
+				for (const field of change.fields) {
+					console.log('    ', cyan(`* ${field.field}:`), formatField(field));
+				}
 			}
-		});
-
-		logItem('startTime:', new Date(feePeriod.startTime.toString() * 1000), 2);
+		}
 	}
+}
 
-	await feePeriodInfo(0);
-	await feePeriodInfo(1);
-
-	for (const address of addresses) {
-		console.log(green('  Address:'), address);
-
-		const feesByPeriod = await FeePool.feesByPeriod(address, blockOptions);
-		logItem(
-			'FeePool.feesByPeriod(address)',
-			feesByPeriod.map(period => period.map(fee => fee.toString())),
-			2,
-		);
-
-		const lastFeeWithdrawal = await FeePool.getLastFeeWithdrawal(address, blockOptions);
-		logItem('FeePool.getLastFeeWithdrawal(address)', lastFeeWithdrawal.toString(), 2);
+// Refreshes on every new block or every interval, highlighting values that changed since the previous refresh.
+async function watchStatus({ provider, readReport, labelAddress, watch, changeLog }) {
+	let previous;
+	let refreshing = false;
 
-		const effectiveDebtRatioForPeriod = await FeePool.effectiveDebtRatioForPeriod(address, 1, blockOptions);
-		logItem(`FeePool.effectiveDebtRatioForPeriod(${address}, 1)`, effectiveDebtRatioForPeriod.toString(), 2);
-	}
+	async function refresh(blockTag = 'latest') {
+		if (refreshing) return;
+		refreshing = true;
 
-	/* ~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ FeePoolState ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~ */
+		try {
+			const report = await readReport(blockTag);
+			const changes = previous ? diffReports({ from: previous, to: report }) : [];
+
+			console.clear();
+			console.log(
+				gray(
+					`Watching ${watch === 'block' ? 'every block' : `every ${watch}s`}, refreshed at ${new Date().toISOString()}`,
+				),
+			);
+			if (previous) {
+				console.log(
+					changes.length > 0
+						? yellow(`${changes.length} change(s) since block ${previous.block.number}`)
+						: gray(`No changes since block ${previous.block.number}`),
+				);
+			}
 
-	logSection('FeePoolState');
+			printReport({ report, labelAddress, changes });
 
-	const FeePoolState = getContract({
-		contract: 'FeePoolState',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
+			if (changeLog && changes.length > 0) {
+				const lines = changes.map(change =>
+					JSON.stringify({ block: report.block.number, timestamp: report.block.timestamp, ...change }),
+				);
+				fs.appendFileSync(changeLog, `${lines.join('\n')}\n`);
+			}
 
-	for (const address of addresses) {
-		console.log(green('  Address:'), address);
+			previous = report;
+		} catch (err) {
+			console.error(red(`  > Failed to refresh: ${err.message}`));
+		}
 
-		const debtEntry = await FeePoolState.getAccountsDebtEntry(address, 0, blockOptions);
-		logItem(
-			'FeePoolState.getAccountsDebtEntry(address)',
-			debtEntry.map(item => item.toString()),
-		);
+		refreshing = false;
 	}
 
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ AddressResolver ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~~~~ */
-
-	logSection('AddressResolver');
+	await refresh();
 
-	const AddressResolver = getContract({
-		contract: 'AddressResolver',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
+	if (watch === 'block') {
+		provider.on('block', blockNumber => refresh(blockNumber));
+	} else {
+		setInterval(refresh, +watch * 1000);
+	}
+}
 
-	const getAddress = async ({ contract }) => {
-		logItem(
-			`AddressResolver.getAddress(${contract})`,
-			await AddressResolver.getAddress(formatBytes32String(contract), blockOptions),
-		);
+function printReport({ report, labelAddress, changes = [] }) {
+	const logSection = sectionName => {
+		console.log(green(`\n=== ${sectionName}: ===`));
 	};
 
-	await getAddress({ contract: 'RewardsDistribution' });
-
-	/* ~~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ SystemSettings ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~~ */
-
-	logSection('SystemSettings');
+	const logItem = (itemName, itemValue, indent = 1, color = undefined) => {
+		const hasValue = itemValue !== undefined;
+		const spaces = '  '.repeat(indent);
+		const name = cyan(`* ${itemName}${hasValue ? ':' : ''}`);
+		const value = hasValue ? itemValue : '';
 
-	const SystemSettings = getContract({
-		contract: 'SystemSettings',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
+		if (color) {
+			console.log(color(spaces, name, value));
+		} else {
+			console.log(spaces, name, value);
+		}
+	};
 
-	const rateStalePeriod = await SystemSettings.rateStalePeriod();
+	logSection('Info');
 
-	logItem('rateStalePeriod', rateStalePeriod.toString());
+	logItem('Network', report.network);
+	logItem('Deployment', report.deploymentPath);
+	logItem('Optimism', report.useOvm);
+	logItem('Block #', report.block.number);
+	logItem('Block time', new Date(report.block.timestamp * 1000));
+	logItem('Provider', report.providerUrl);
 
-	/* ~~~~~~~~~~~~~~~~~~~~~~~ */
-	/* ~~~~ ExchangeRates ~~~~ */
-	/* ~~~~~~~~~~~~~~~~~~~~~~~ */
+	const changesByKey = changes.reduce((byKey, change) => Object.assign(byKey, { [change.key]: change }), {});
 
-	logSection('ExchangeRates');
+	for (const section of report.sections) {
+		logSection(section.name);
 
-	const ExchangeRates = getContract({
-		contract: 'ExchangeRates',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
+		let address, group;
+		for (const item of section.items) {
+			if (item.address !== address) {
+				address = item.address;
+				console.log(green('  Address:'), labelAddress(address));
+			}
 
-	const Issuer = getContract({
-		contract: 'Issuer',
-		network,
-		useOvm,
-		provider,
-		deploymentPath,
-	});
+			if (item.group !== group) {
+				group = item.group;
+				if (group) logItem(group, undefined, address ? 2 : 1);
+			}
 
-	const currencyKeys = await Issuer.availableCurrencyKeys();
-	const now = Math.floor(new Date().getTime() / 60000);
-
-	const logRate = async currencyKey => {
-		const currency = toUtf8String(currencyKey);
-		const rate = await ExchangeRates.rateForCurrency(currencyKey, blockOptions);
-		const isInvalid = await ExchangeRates.rateIsInvalid(currencyKey, blockOptions);
-		const updated = await ExchangeRates.lastRateUpdateTimes(currencyKey, blockOptions);
-		const sinceUpdate = Math.floor(now - +updated.toString() / 60);
-
-		logItem(
-			`${currency} rate`,
-			`${formatEther(rate)} (Updated ${sinceUpdate} minutes ago)`,
-			1,
-			isInvalid ? bgRed : undefined,
-		);
-	};
+			const indent = 1 + (item.address ? 1 : 0) + (item.group ? 1 : 0);
 
-	for (const currencyKey of currencyKeys) {
-		await logRate(currencyKey);
+			const change = changesByKey[getItemKey({ sectionName: section.name, item })];
+			if (change) {
+				const value = `${item.value} (was ${change.fromValue})`;
+				logItem(item.name, value, indent, item.warning ? bgRed : yellow.inverse);
+			} else {
+				logItem(item.name, item.value, indent, item.warning ? bgRed : undefined);
+			}
+		}
 	}
-	await logRate(formatBytes32String('SNX'));
 }
+
 program
-	.description('Query state of the system on any network')
+	.description('Query state of the system on any network, or compare it between two blocks with "diff"')
+	.arguments('[mode]')
 	.option('-a, --addresses <values...>', 'Addresses to perform particular checks on')
 	.option('-b, --block <value>', 'Block number to check again')
+	.option('-c, --check', 'Only print health checks and exit with 0, 1 or 2 for ok, warning or critical', false)
+	.option('-e, --from <value>', 'In diff mode, the block to compare from')
 	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-j, --json', 'Print the status as a JSON document', false)
+	.option('-k, --currencies <values...>', 'Only read the rates of these currencies, e.g. sETH,sBTC')
+	.option('-m, --section-modules <values...>', 'Paths to modules exporting additional status sections')
 	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
 	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-r, --address-book <value>', 'A JSON file mapping addresses to labels', DEFAULT_ADDRESS_BOOK_FILE)
+	.option('-s, --sections <values...>', 'Only read these sections, e.g. feepool,rates')
+	.option('-t, --thresholds <value>', 'A JSON or YAML file overriding the health check thresholds')
+	.option('-u, --to <value>', 'In diff mode, the block to compare to', 'latest')
+	.option('-w, --watch <value>', 'Refresh every given number of seconds, or on every new block with "block"')
 	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
 	.option('-z, --use-ovm', 'Use an Optimism chain', false)
-	.action(async (...args) => {
+	.option('--change-log <value>', 'In watch mode, append every change to this file as a JSON line')
+	.option('--ndjson', 'Print the status as newline delimited JSON, one line per item', false)
+	.action(async (mode, cmd) => {
 		try {
-			await status(...args);
+			await status({ ...cmd.opts(), mode });
 		} catch (err) {
 			console.error(red(err));
 			console.log(err.stack);
 
-			process.exitCode = 1;
+			process.exitCode = program.check ? EXIT_CODES.unknown : 1;
 		}
 	});
 
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+const program = require('commander');
+const ethers = require('ethers');
+const inquirer = require('inquirer');
+const { wrap } = require('synthetix');
+const { gray, green, red, yellow } = require('chalk');
+const { formatBytes32String, parseBytes32String } = require('ethers').utils;
+
+const { getContract } = require('../utils/getContract');
+const { setupProvider } = require('../utils/setupProvider');
+const { resolveCall } = require('../utils/resolveCall');
+const { writeTxFile, serializeTransaction, buildTransaction, describeTransaction } = require('../utils/txFile');
+const { loadSafeBatch, addToSafeBatch, writeSafeBatch } = require('../utils/safeBatch');
+const {
+	SUSPENSION_SECTIONS,
+	SUSPENSION_REASONS,
+	describeSuspension,
+	readSuspension,
+	getSuspensionCalls,
+} = require('../utils/systemStatus');
+
+async function suspension({
+	network,
+	useOvm,
+	providerUrl,
+	useFork,
+	deploymentPath,
+	action,
+	section,
+	currencies,
+	reason,
+	from,
+	nonce,
+	gasPrice,
+	gasLimit,
+	outFile,
+	safeBatchFile,
+	safeAddress,
+}) {
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Input ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	if (action && !['suspend', 'resume'].includes(action)) {
+		throw new Error(`Unknown action ${action}, use suspend or resume.`);
+	}
+	if (!outFile && !safeBatchFile) {
+		throw new Error('Please specify a path to write the unsigned transaction to, or a Safe batch file.');
+	}
+	if (outFile && safeBatchFile) throw new Error('Please choose either an unsigned transaction or a Safe batch.');
+	if (outFile && (!from || !ethers.utils.isAddress(from))) {
+		throw new Error('Please specify a valid address to send from.');
+	}
+
+	// Accept both -k sETH sBTC and -k sETH,sBTC
+	currencies = currencies ? currencies.join(',').split(',') : [];
+
+	if (useFork) {
+		providerUrl = 'http://localhost:8545';
+	}
+
+	if (!providerUrl && process.env.PROVIDER_URL) {
+		providerUrl = process.env.PROVIDER_URL.replace('network', network);
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Setup ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const { provider } = setupProvider({ providerUrl });
+
+	let safeBatch;
+	if (safeBatchFile) {
+		if (!safeAddress) {
+			const { getUsers } = wrap({ network, useOvm, fs, path });
+			safeAddress = getUsers({ user: 'owner' }).address;
+		}
+
+		const { chainId } = await provider.getNetwork();
+		safeBatch = loadSafeBatch({ batchFile: safeBatchFile, chainId, safeAddress });
+	}
+
+	// The account the calls will be sent from, which needs access to the section
+	const account = safeBatch ? safeAddress : from;
+
+	const SystemStatus = getContract({ contract: 'SystemStatus', network, useOvm, provider, deploymentPath });
+	const Issuer = getContract({ contract: 'Issuer', network, useOvm, provider, deploymentPath });
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~ Prompts ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	// Anything not given as an option is asked for, showing the current state of the system
+	if (!section) {
+		const choices = [];
+		for (const sectionName of Object.keys(SUSPENSION_SECTIONS)) {
+			if (SUSPENSION_SECTIONS[sectionName].perSynth) {
+				choices.push({ name: `${sectionName} (per synth)`, value: sectionName });
+			} else {
+				const current = await readSuspension({ SystemStatus, sectionName });
+				choices.push({ name: `${sectionName} (${describeSuspension(current)})`, value: sectionName });
+			}
+		}
+
+		({ section } = await inquirer.prompt([{ type: 'list', name: 'section', message: 'Which section?', choices }]));
+	}
+
+	if (!SUSPENSION_SECTIONS[section]) {
+		throw new Error(`Unknown section ${section}, use one of ${Object.keys(SUSPENSION_SECTIONS).join(', ')}.`);
+	}
+
+	if (!action) {
+		({ action } = await inquirer.prompt([
+			{ type: 'list', name: 'action', message: 'Suspend or resume?', choices: ['suspend', 'resume'] },
+		]));
+	}
+
+	if (SUSPENSION_SECTIONS[section].perSynth) {
+		const synths = (await Issuer.availableCurrencyKeys()).map(key => parseBytes32String(key));
+
+		if (currencies.length === 0) {
+			const choices = [];
+			for (const currency of synths) {
+				const current = await readSuspension({ SystemStatus, sectionName: section, currency });
+				choices.push({ name: `${currency} (${describeSuspension(current)})`, value: currency });
+			}
+
+			({ currencies } = await inquirer.prompt([
+				{ type: 'checkbox', name: 'currencies', message: `Which synths to ${action}?`, choices },
+			]));
+		}
+
+		for (const currency of currencies) {
+			if (!synths.includes(currency)) throw new Error(`Unknown synth ${currency}.`);
+		}
+	}
+
+	if (action === 'suspend' && reason === undefined) {
+		const choices = Object.keys(SUSPENSION_REASONS).map(code => ({
+			name: `${code}: ${SUSPENSION_REASONS[code]}`,
+			value: code,
+		}));
+
+		({ reason } = await inquirer.prompt([{ type: 'list', name: 'reason', message: 'Reason?', choices }]));
+	}
+
+	const calls = getSuspensionCalls({ sectionName: section, action, currencies, reason });
+	if (outFile && calls.length > 1) {
+		throw new Error('Several calls can not fit in one transaction, use a Safe batch file instead.');
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Checks ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	const access = await SystemStatus.accessControl(formatBytes32String(SUSPENSION_SECTIONS[section].section), account);
+	if (!(action === 'suspend' ? access.canSuspend : access.canResume)) {
+		throw new Error(`${account} is not allowed to ${action} the ${section} section.`);
+	}
+
+	for (const call of calls) {
+		const current = await readSuspension({ SystemStatus, sectionName: section, currency: call.currency });
+
+		if (current.suspended === (action === 'suspend')) {
+			console.log(yellow(`  > ${call.currency || section} is already ${describeSuspension(current)}`));
+		}
+	}
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~~~ Build ~~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	for (const { functionName, args } of calls) {
+		const call = resolveCall({
+			contract: 'SystemStatus',
+			functionName,
+			args,
+			network,
+			useOvm,
+			deploymentPath,
+			signerOrProvider: provider,
+		});
+
+		if (safeBatch) {
+			addToSafeBatch({
+				batch: safeBatch,
+				contractName: 'SystemStatus',
+				contract: call.contract,
+				abiItem: call.abiItem,
+				inputs: call.inputs,
+			});
+		} else {
+			const transaction = await buildTransaction({ provider, call, from, nonce, gasPrice, gasLimit });
+
+			const data = {
+				from: ethers.utils.getAddress(from),
+				call: {
+					network,
+					useOvm,
+					contract: 'SystemStatus',
+					signature: call.functionSignature,
+					args,
+				},
+				transaction: serializeTransaction(transaction),
+			};
+			writeTxFile({ file: outFile, data });
+
+			describeTransaction({ data }).map(line => console.log(gray(`    ${line}`)));
+			console.log(green(`Unsigned transaction written to ${outFile}`));
+		}
+	}
+
+	if (safeBatch) {
+		writeSafeBatch({ batch: safeBatch, batchFile: safeBatchFile });
+		console.log(green(`${calls.length} call(s) added to Safe batch ${safeBatchFile} for Safe ${safeAddress}`));
+	}
+}
+
+program
+	.description('Build SystemStatus calls suspending or resuming the system, issuance, exchange or synths')
+	.arguments('[action]')
+	.option('-c, --section <value>', 'The section to suspend or resume: system, issuance, exchange or synth')
+	.option('-e, --reason <value>', 'The reason code to suspend with, e.g. 1 for a system upgrade')
+	.option('-f, --use-fork', 'Use a local fork', false)
+	.option('-g, --gas-price <value>', 'Gas price to set when performing transfers', 1)
+	.option('-k, --currencies <values...>', 'The synths to suspend or resume, e.g. sETH,sBTC')
+	.option('-l, --gas-limit <value>', 'Max gas to use, estimated if not specified')
+	.option('-n, --network <value>', 'The network to run off', x => x.toLowerCase(), 'mainnet')
+	.option('-o, --out-file <value>', 'The path to the JSON file where the unsigned transaction is written')
+	.option('-p, --provider-url <value>', 'The http provider to use for communicating with the blockchain')
+	.option('-r, --from <value>', 'The address that will sign the transaction')
+	.option('-s, --safe-batch-file <value>', 'Add the calls to a Safe batch file instead')
+	.option('-t, --safe-address <value>', 'The Safe that will execute the batch (defaults to the owner)')
+	.option('-y, --deployment-path <value>', 'Specify the path to the deployment data directory')
+	.option('-z, --use-ovm', 'Use an Optimism chain', false)
+	.option('--nonce <value>', 'The nonce to use, fetched from the network if not specified')
+	.action(async (action, cmd) => {
+		try {
+			await suspension({ ...cmd.opts(), action });
+		} catch (err) {
+			console.error(red(err));
+			console.log(err.stack);
+
+			process.exitCode = 1;
+		}
+	});
+
+program.parse(process.argv);
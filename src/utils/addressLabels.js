@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const synthetix = require('synthetix');
+const ethers = require('ethers');
+
+const { getDeploymentData } = require('./getContract');
+
+const DEFAULT_ADDRESS_BOOK_FILE = path.join(os.homedir(), '.synthetix-cli', 'address-book.json');
+
+// Address books map addresses to labels, i.e. { "0x...": "Treasury" }
+function loadAddressBook({ addressBookFile = DEFAULT_ADDRESS_BOOK_FILE }) {
+	if (!fs.existsSync(addressBookFile)) {
+		return {};
+	}
+
+	const addressBook = JSON.parse(fs.readFileSync(addressBookFile));
+
+	for (const address of Object.keys(addressBook)) {
+		if (!ethers.utils.isAddress(address)) {
+			throw new Error(`Invalid address "${address}" in address book ${addressBookFile}.`);
+		}
+	}
+
+	return addressBook;
+}
+
+// Builds a labeler from deployment targets, synthetix users and the address book.
+// Anything that is not a known address is returned unchanged, so any printed value can be passed through it.
+function getAddressLabeler({ network = 'mainnet', useOvm = false, deploymentPath, deploymentData, addressBookFile }) {
+	const labels = {};
+
+	function addLabel(address, label) {
+		const key = address.toLowerCase();
+
+		labels[key] = labels[key] || [];
+		if (!labels[key].includes(label)) labels[key].push(label);
+	}
+
+	const { getUsers } = synthetix.wrap({ network, useOvm, fs, path });
+	for (const user of getUsers({ network, useOvm })) {
+		addLabel(user.address, user.name);
+	}
+
+	const { targets } = deploymentData || getDeploymentData({ network, useOvm, deploymentPath });
+	for (const target of Object.values(targets)) {
+		addLabel(target.address, target.name);
+	}
+
+	const addressBook = loadAddressBook({ addressBookFile });
+	for (const address of Object.keys(addressBook)) {
+		addLabel(address, addressBook[address]);
+	}
+
+	return function labelAddress(value) {
+		if (typeof value !== 'string' || !ethers.utils.isHexString(value, 20)) {
+			return value;
+		}
+
+		const label = labels[value.toLowerCase()];
+
+		return label ? `${value} (${label.join(', ')})` : value;
+	};
+}
+
+module.exports = {
+	DEFAULT_ADDRESS_BOOK_FILE,
+	loadAddressBook,
+	getAddressLabeler,
+};
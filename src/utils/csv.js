@@ -0,0 +1,22 @@
+// Quotes values containing separators, quotes or new lines, as per RFC 4180.
+function escapeCsvValue(value) {
+	const text = value === undefined || value === null ? '' : `${value}`;
+
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Renders rows of objects as CSV, with a header line listing the columns in order.
+function formatCsv({ columns, rows }) {
+	const lines = [columns.map(escapeCsvValue).join(',')];
+
+	for (const row of rows) {
+		lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+	}
+
+	return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+	escapeCsvValue,
+	formatCsv,
+};
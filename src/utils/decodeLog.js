@@ -0,0 +1,59 @@
+const ethers = require('ethers');
+
+// Builds a decoder that matches logs to deployment targets by their emitting address.
+function getLogDecoder({ deploymentData }) {
+	const byAddress = {};
+	const bySource = {};
+
+	for (const target of Object.values(deploymentData.targets)) {
+		const source = deploymentData.sources[target.source];
+		if (!source || !source.abi) continue;
+
+		if (!bySource[target.source]) {
+			bySource[target.source] = new ethers.utils.Interface(source.abi);
+		}
+
+		byAddress[target.address.toLowerCase()] = {
+			contractName: target.name,
+			iface: bySource[target.source],
+		};
+	}
+
+	function tryParse(iface, log) {
+		try {
+			return iface.parseLog(log);
+		} catch (err) {
+			return undefined;
+		}
+	}
+
+	return function decodeLog(log) {
+		const emitter = byAddress[log.address.toLowerCase()];
+
+		let parsed = emitter && tryParse(emitter.iface, log);
+
+		// Proxies emit events declared in their target's abi, so fall back to any abi in the deployment
+		if (!parsed) {
+			for (const iface of Object.values(bySource)) {
+				parsed = tryParse(iface, log);
+				if (parsed) break;
+			}
+		}
+
+		if (!parsed) return undefined;
+
+		return {
+			contractName: emitter ? emitter.contractName : undefined,
+			name: parsed.name,
+			args: parsed.eventFragment.inputs.map((input, idx) => ({
+				name: input.name,
+				type: input.type,
+				value: parsed.args[idx],
+			})),
+		};
+	};
+}
+
+module.exports = {
+	getLogDecoder,
+};
@@ -0,0 +1,35 @@
+// Finds the first block mined at or after a timestamp, with a binary search over block timestamps.
+async function findBlockByTimestamp({ provider, timestamp }) {
+	const latest = await provider.getBlock('latest');
+	if (timestamp > latest.timestamp) {
+		throw new Error(`No block mined after ${new Date(timestamp * 1000).toISOString()} yet.`);
+	}
+
+	let low = 0;
+	let high = latest.number;
+	while (low < high) {
+		const middle = Math.floor((low + high) / 2);
+		const block = await provider.getBlock(middle);
+
+		if (block.timestamp < timestamp) {
+			low = middle + 1;
+		} else {
+			high = middle;
+		}
+	}
+
+	return low;
+}
+
+// Accepts anything Date can parse, i.e. 2021-03-01 or 2021-03-01T12:00:00Z.
+function parseDate(value) {
+	const time = new Date(value).getTime();
+	if (isNaN(time)) throw new Error(`Invalid date ${value}.`);
+
+	return Math.floor(time / 1000);
+}
+
+module.exports = {
+	findBlockByTimestamp,
+	parseDate,
+};
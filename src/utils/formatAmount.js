@@ -0,0 +1,12 @@
+const { formatEther } = require('ethers').utils;
+
+// Formats an 18 decimals amount for humans, i.e. "1,234.5678 sUSD".
+function formatAmount(value, unit) {
+	const amount = (+formatEther(value)).toLocaleString('en-US', { maximumFractionDigits: 4 });
+
+	return unit ? `${amount} ${unit}` : amount;
+}
+
+module.exports = {
+	formatAmount,
+};
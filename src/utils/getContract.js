@@ -14,11 +14,14 @@ function getContract({
 	deploymentPath = undefined,
 	wallet,
 	provider,
+	silent = false,
 }) {
 	const { getSource, getTarget } = synthetix.wrap({ network, fs, path });
 
 	const target = getTarget({  contract, network, useOvm, deploymentPath });
-	console.log(gray(`  > getContract '${contract}${contract !== source ? `(${source})` : ''}' => ${target.address}`));
+	if (!silent) {
+		console.log(gray(`  > getContract '${contract}${contract !== source ? `(${source})` : ''}' => ${target.address}`));
+	}
 
 	const sourceData = getSource({
 		contract: source,
@@ -30,6 +33,17 @@ function getContract({
 	return new ethers.Contract(target.address, sourceData.abi, wallet || provider);
 }
 
+// Loads all targets and sources of a deployment, in the same shape as the deployment file.
+function getDeploymentData({ network = 'mainnet', useOvm = false, deploymentPath = undefined }) {
+	const { getSource, getTarget } = synthetix.wrap({ network, fs, path });
+
+	return {
+		targets: getTarget({ network, useOvm, deploymentPath }),
+		sources: getSource({ network, useOvm, deploymentPath }),
+	};
+}
+
 module.exports = {
 	getContract,
+	getDeploymentData,
 };
@@ -1,11 +1,42 @@
 const { gray } = require('chalk');
 
-async function getPastEvents({ contract, eventName, provider, fromBlock, toBlock }) {
+// Providers cap the logs returned by a single query, i.e. "query returned more than 10000 results".
+function isTooManyResults(err) {
+	return /more than \d+ results|too many results|limit exceeded|block range/i.test(err.message);
+}
+
+// Queries the range in windows of chunkSize blocks, halving the window whenever a query hits the provider limit.
+async function getLogsInChunks({ provider, filter, chunkSize }) {
+	const logs = [];
+
+	let size = chunkSize;
+	let start = filter.fromBlock;
+	while (start <= filter.toBlock) {
+		const end = Math.min(start + size - 1, filter.toBlock);
+
+		try {
+			logs.push(...(await provider.getLogs({ ...filter, fromBlock: start, toBlock: end })));
+
+			start = end + 1;
+		} catch (err) {
+			if (!isTooManyResults(err) || end === start) throw err;
+
+			size = Math.ceil((end - start + 1) / 2);
+			console.log(gray(`  > Too many events from block ${start} to ${end}, retrying ${size} blocks at a time`));
+		}
+	}
+
+	return logs;
+}
+
+// filterArgs optionally restricts indexed event arguments, use null to match any value.
+// With chunkSize the range is queried in windows of that many blocks instead of all at once.
+async function getPastEvents({ contract, eventName, provider, fromBlock, toBlock, filterArgs = [], chunkSize }) {
 	let filter = { address: contract.address };
 
 	if (eventName) {
-		filter = contract.filters[eventName]();
-		if (!filter) throw new Error(`Event ${eventName} not found in contract abi.`);
+		if (!contract.filters[eventName]) throw new Error(`Event ${eventName} not found in contract abi.`);
+		filter = contract.filters[eventName](...filterArgs);
 	}
 
 	filter.fromBlock = +fromBlock || 'earliest';
@@ -13,10 +44,21 @@ async function getPastEvents({ contract, eventName, provider, fromBlock, toBlock
 
 	console.log(gray(`  > Querying events ${eventName || '*'}, from: ${filter.fromBlock} to ${filter.toBlock}`));
 
-	let logs = await provider.getLogs(filter);
+	let logs;
+	if (chunkSize) {
+		if (filter.fromBlock === 'earliest') filter.fromBlock = 0;
+		if (filter.toBlock === 'latest') filter.toBlock = await provider.getBlockNumber();
+
+		logs = await getLogsInChunks({ provider, filter, chunkSize: +chunkSize });
+	} else {
+		logs = await provider.getLogs(filter);
+	}
 
 	logs = logs.map(log =>
-		Object.assign({ transactionHash: log.transactionHash, logIndex: log.logIndex }, contract.interface.parseLog(log)),
+		Object.assign(
+			{ blockNumber: log.blockNumber, transactionHash: log.transactionHash, logIndex: log.logIndex },
+			contract.interface.parseLog(log),
+		),
 	);
 
 	return logs;
@@ -0,0 +1,150 @@
+const fs = require('fs');
+
+const yaml = require('js-yaml');
+
+const { findItems } = require('./statusReport');
+
+// Follows the Nagios plugin convention, 3 is used when the checks could not run at all
+const EXIT_CODES = {
+	ok: 0,
+	warning: 1,
+	critical: 2,
+	unknown: 3,
+};
+
+// Rule severities can be set to warning, critical or off, rate ages are in minutes (or off).
+// Staleness follows the rateStalePeriod of SystemSettings, fixed rate ages are opt-in as feeds
+// update on very different heartbeats.
+const DEFAULT_THRESHOLDS = {
+	anySynthOrSNXRateIsInvalid: 'critical',
+	debtCacheInvalid: 'critical',
+	debtCacheStale: 'warning',
+	rateInvalid: 'critical',
+	rateStale: 'critical',
+	rateAge: 'off',
+};
+
+function loadThresholds({ thresholdsFile }) {
+	if (!thresholdsFile) {
+		return DEFAULT_THRESHOLDS;
+	}
+
+	if (!fs.existsSync(thresholdsFile)) throw new Error(`No thresholds file at ${thresholdsFile}.`);
+
+	const content = fs.readFileSync(thresholdsFile, 'utf8');
+	const thresholds = thresholdsFile.match(/\.ya?ml$/) ? yaml.safeLoad(content) : JSON.parse(content);
+
+	return {
+		...DEFAULT_THRESHOLDS,
+		...thresholds,
+	};
+}
+
+// Evaluates the rules against a status report, returning a check per rule and item.
+function runHealthChecks({ report, thresholds = DEFAULT_THRESHOLDS }) {
+	const checks = [];
+
+	function checkFlag({ name, severity, failed, message }) {
+		if (!severity || severity === 'off') return;
+
+		checks.push({ name, status: failed ? severity : 'ok', message });
+	}
+
+	findItems({
+		report,
+		sectionName: 'Synthetix',
+		match: item => item.name === 'Synthetix.anySynthOrSNXRateIsInvalid',
+	}).map(item =>
+		checkFlag({
+			name: 'anySynthOrSNXRateIsInvalid',
+			severity: thresholds.anySynthOrSNXRateIsInvalid,
+			failed: item.raw,
+			message: `Synthetix.anySynthOrSNXRateIsInvalid is ${item.raw}`,
+		}),
+	);
+
+	findItems({ report, sectionName: 'DebtCache', match: item => item.name === 'DebtCache.info.isInvalid' }).map(item =>
+		checkFlag({
+			name: 'debtCacheInvalid',
+			severity: thresholds.debtCacheInvalid,
+			failed: item.raw,
+			message: `DebtCache is ${item.raw ? 'invalid' : 'valid'}`,
+		}),
+	);
+
+	findItems({ report, sectionName: 'DebtCache', match: item => item.name === 'DebtCache.info.isStale' }).map(item =>
+		checkFlag({
+			name: 'debtCacheStale',
+			severity: thresholds.debtCacheStale,
+			failed: item.raw,
+			message: `DebtCache is ${item.raw ? 'stale' : 'fresh'}`,
+		}),
+	);
+
+	const rates = findItems({ report, sectionName: 'ExchangeRates', match: item => item.name.match(/ rate$/) });
+	for (const item of rates) {
+		const currency = item.name.replace(/ rate$/, '');
+
+		checkFlag({
+			name: `rateInvalid ${currency}`,
+			severity: thresholds.rateInvalid,
+			failed: item.raw.isInvalid,
+			message: `${currency} rate is ${item.raw.isInvalid ? 'invalid' : 'valid'}`,
+		});
+
+		// sUSD is fixed at 1 and never updated
+		if (currency === 'sUSD') continue;
+
+		checkFlag({
+			name: `rateStale ${currency}`,
+			severity: thresholds.rateStale,
+			failed: item.raw.isStale,
+			message: `${currency} rate is ${item.raw.isStale ? 'stale' : 'fresh'}`,
+		});
+
+		if (!thresholds.rateAge || thresholds.rateAge === 'off') continue;
+
+		// Ages are relative to the block that was read, so that historical checks make sense
+		const age = Math.floor((report.block.timestamp - +item.raw.lastRateUpdateTime) / 60);
+
+		let status = 'ok';
+		if (thresholds.rateAge.critical !== undefined && age > thresholds.rateAge.critical) {
+			status = 'critical';
+		} else if (thresholds.rateAge.warning !== undefined && age > thresholds.rateAge.warning) {
+			status = 'warning';
+		}
+
+		checks.push({ name: `rateAge ${currency}`, status, message: `${currency} rate updated ${age} minutes ago` });
+	}
+
+	return checks;
+}
+
+function summarizeHealth(checks) {
+	const critical = checks.filter(check => check.status === 'critical');
+	const warning = checks.filter(check => check.status === 'warning');
+
+	let status = 'ok';
+	if (critical.length > 0) {
+		status = 'critical';
+	} else if (warning.length > 0) {
+		status = 'warning';
+	}
+
+	const counts = `${critical.length} critical, ${warning.length} warning, ${checks.length} checks`;
+
+	return {
+		status,
+		exitCode: EXIT_CODES[status],
+		summary: `SYNTHETIX ${status.toUpperCase()} - ${counts}`,
+		failing: [...critical, ...warning],
+	};
+}
+
+module.exports = {
+	EXIT_CODES,
+	DEFAULT_THRESHOLDS,
+	loadThresholds,
+	runHealthChecks,
+	summarizeHealth,
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ethers = require('ethers');
+
+const DEFAULT_HISTORY_FILE = path.join(os.homedir(), '.synthetix-cli', 'history.json');
+
+// Oldest non favorite entries are dropped past this size
+const MAX_ENTRIES = 1000;
+
+function loadHistory({ historyFile = DEFAULT_HISTORY_FILE }) {
+	if (!fs.existsSync(historyFile)) {
+		return [];
+	}
+
+	return JSON.parse(fs.readFileSync(historyFile));
+}
+
+function saveHistory({ historyFile = DEFAULT_HISTORY_FILE, history }) {
+	fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+	fs.writeFileSync(historyFile, JSON.stringify(history, null, 2));
+}
+
+// Converts call results to plain JSON, i.e. BigNumbers to decimal strings.
+function serializeValue(value) {
+	if (ethers.BigNumber.isBigNumber(value)) {
+		return value.toString();
+	} else if (Array.isArray(value)) {
+		return value.map(item => serializeValue(item));
+	} else {
+		return value;
+	}
+}
+
+function recordCall({ historyFile, entry }) {
+	let history = loadHistory({ historyFile });
+
+	const record = {
+		id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+		timestamp: new Date().toISOString(),
+		favorite: false,
+		...entry,
+		result: serializeValue(entry.result),
+	};
+	history.push(record);
+
+	while (history.length > MAX_ENTRIES) {
+		const oldest = history.findIndex(item => !item.favorite);
+		if (oldest === -1) break;
+
+		history = history.filter((item, idx) => idx !== oldest);
+	}
+
+	saveHistory({ historyFile, history });
+
+	return record;
+}
+
+function toggleFavorite({ historyFile, id }) {
+	const history = loadHistory({ historyFile });
+
+	const record = history.find(item => item.id === id);
+	if (!record) throw new Error(`No history entry with id ${id}.`);
+
+	record.favorite = !record.favorite;
+	saveHistory({ historyFile, history });
+
+	return record;
+}
+
+module.exports = {
+	DEFAULT_HISTORY_FILE,
+	loadHistory,
+	recordCall,
+	serializeValue,
+	toggleFavorite,
+};
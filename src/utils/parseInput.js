@@ -0,0 +1,269 @@
+const ethers = require('ethers');
+const synthetix = require('synthetix');
+
+const { ParamType } = ethers.utils;
+
+const QUOTES = '"\'';
+
+// Splits "a,[b,c],(d,e)" into ["a", "[b,c]", "(d,e)"], respecting nesting and quotes.
+function splitTopLevel(raw) {
+	const parts = [];
+
+	let depth = 0;
+	let quote;
+	let current = '';
+	for (const char of raw) {
+		if (quote) {
+			if (char === quote) quote = undefined;
+		} else if (QUOTES.includes(char)) {
+			quote = char;
+		} else if (char === '[' || char === '(') {
+			depth++;
+		} else if (char === ']' || char === ')') {
+			depth--;
+			if (depth < 0) throw new Error(`Unbalanced brackets in "${raw}"`);
+		} else if (char === ',' && depth === 0) {
+			parts.push(current.trim());
+			current = '';
+			continue;
+		}
+
+		current += char;
+	}
+
+	if (quote) throw new Error(`Unterminated quote in "${raw}"`);
+	if (depth !== 0) throw new Error(`Unbalanced brackets in "${raw}"`);
+
+	if (current.trim() !== '' || parts.length > 0) parts.push(current.trim());
+
+	return parts;
+}
+
+function stripEnclosing(raw, open, close) {
+	if (raw.startsWith(open) && raw.endsWith(close)) {
+		return raw.slice(1, -1).trim();
+	}
+
+	return raw;
+}
+
+function stripQuotes(raw) {
+	if (raw.length > 1 && QUOTES.includes(raw[0]) && raw[raw.length - 1] === raw[0]) {
+		return raw.slice(1, -1);
+	}
+
+	return raw;
+}
+
+function parseAddress(raw) {
+	if (!ethers.utils.isHexString(raw, 20)) {
+		throw new Error('expected a 20 byte hex address');
+	}
+
+	// Mixed case addresses must carry a valid checksum.
+	const hasChecksum = raw.slice(2) !== raw.slice(2).toLowerCase() && raw.slice(2) !== raw.slice(2).toUpperCase();
+	const address = ethers.utils.getAddress(raw.toLowerCase());
+	if (hasChecksum && address !== raw) {
+		throw new Error(`bad checksum, did you mean ${address}?`);
+	}
+
+	return address;
+}
+
+function parseBool(raw) {
+	const value = raw.toLowerCase();
+
+	if (['true', '1', 'yes', 'y'].includes(value)) return true;
+	if (['false', '0', 'no', 'n'].includes(value)) return false;
+
+	throw new Error('expected true or false');
+}
+
+// Decimals applied by each unit suffix, percentages are 18 decimal fixed point (100 % = 1e18)
+const UNITS = {
+	wei: 0,
+	kwei: 3,
+	mwei: 6,
+	gwei: 9,
+	szabo: 12,
+	finney: 15,
+	ether: 18,
+	'%': 16,
+};
+
+// Converts amounts like "1.5 ether", "250 gwei", "1e18" or "100 %" to wei.
+function parseAmount(raw) {
+	const match = raw.match(/^(-?\d*\.?\d+)(?:e([+-]?\d+))?\s*([a-z%]*)$/i);
+	if (!match) {
+		throw new Error('expected an integer, hex, or an amount like 1.5 ether, 250 gwei, 1e18 or 100 %');
+	}
+
+	const [, mantissa, exponent = '0', unit] = match;
+
+	const unitDecimals = unit ? UNITS[unit.toLowerCase()] : 0;
+	if (unitDecimals === undefined) {
+		throw new Error(`unknown unit "${unit}", use one of ${Object.keys(UNITS).join(', ')}`);
+	}
+
+	let value = mantissa;
+	let decimals = +exponent + unitDecimals;
+
+	// Negative exponents move the decimal point to the left, i.e. 100e-1 is 10
+	if (decimals < 0) {
+		const [, sign, integer, fraction = ''] = mantissa.match(/^(-?)(\d*)(?:\.(\d+))?$/);
+		const digits = integer.padStart(-decimals + 1, '0');
+		const point = digits.length + decimals;
+
+		value = `${sign}${digits.slice(0, point)}.${digits.slice(point)}${fraction}`;
+		decimals = 0;
+	}
+
+	try {
+		return ethers.utils.parseUnits(value, decimals);
+	} catch (err) {
+		throw new Error('amount has a fractional wei component');
+	}
+}
+
+function parseInteger(raw, type) {
+	const signed = type.startsWith('int');
+	const bits = +(type.replace(/^u?int/, '') || 256);
+
+	const value = ethers.utils.isHexString(raw) ? ethers.BigNumber.from(raw) : parseAmount(raw);
+
+	let min = ethers.constants.Zero;
+	let max = ethers.BigNumber.from(2).pow(bits).sub(1);
+	if (signed) {
+		const half = ethers.BigNumber.from(2).pow(bits - 1);
+		min = half.mul(-1);
+		max = half.sub(1);
+	}
+
+	if (value.lt(min) || value.gt(max)) {
+		throw new Error(`out of range [${min.toString()}, ${max.toString()}]`);
+	}
+
+	return value;
+}
+
+function parseBytes(raw, type) {
+	const size = type === 'bytes' ? undefined : +type.replace('bytes', '');
+
+	// bytes32 keeps the historical behaviour of converting plain strings via toBytes32
+	if (type === 'bytes32' && !raw.startsWith('0x')) {
+		if (ethers.utils.toUtf8Bytes(raw).length > 32) {
+			throw new Error('string is longer than 32 bytes');
+		}
+
+		return synthetix.toBytes32(raw);
+	}
+
+	if (!ethers.utils.isHexString(raw)) {
+		throw new Error('expected 0x prefixed hex data');
+	}
+	if (raw.length % 2 !== 0) {
+		throw new Error('hex data must have an even number of digits');
+	}
+	if (size !== undefined && ethers.utils.hexDataLength(raw) !== size) {
+		throw new Error(`expected exactly ${size} bytes, got ${ethers.utils.hexDataLength(raw)}`);
+	}
+
+	return raw;
+}
+
+// Values may be strings typed by a user, or already structured values coming from JSON/YAML files.
+function parseValue(param, raw, isTopLevel = false) {
+	if (param.baseType === 'array') {
+		let items;
+		if (Array.isArray(raw)) {
+			items = raw;
+		} else {
+			raw = `${raw}`.trim();
+
+			if (raw.startsWith('[')) {
+				items = splitTopLevel(stripEnclosing(raw, '[', ']'));
+			} else if (isTopLevel) {
+				// Top level arrays can also use the plain a,b,c syntax
+				items = splitTopLevel(raw);
+			} else {
+				throw new Error(`Invalid ${param.type} "${raw}": expected [a,b,...]`);
+			}
+		}
+
+		if (param.arrayLength !== -1 && items.length !== param.arrayLength) {
+			throw new Error(`Invalid ${param.type}: expected ${param.arrayLength} items, got ${items.length}`);
+		}
+
+		return items.map(item => parseValue(param.arrayChildren, item));
+	}
+
+	if (param.baseType === 'tuple') {
+		let items;
+		if (Array.isArray(raw)) {
+			items = raw;
+		} else if (raw !== null && typeof raw === 'object') {
+			items = param.components.map(component => raw[component.name]);
+		} else {
+			raw = `${raw}`.trim();
+
+			items = splitTopLevel(raw.startsWith('(') ? stripEnclosing(raw, '(', ')') : stripEnclosing(raw, '[', ']'));
+		}
+
+		if (items.length !== param.components.length) {
+			throw new Error(`Invalid ${param.format()}: expected ${param.components.length} components, got ${items.length}`);
+		}
+
+		return items.map((item, idx) => parseValue(param.components[idx], item));
+	}
+
+	raw = `${raw}`;
+
+	// Top level strings are passed through untouched, nested ones may be quoted
+	const value = isTopLevel && param.type === 'string' ? raw : stripQuotes(raw.trim());
+
+	try {
+		if (param.type === 'address') return parseAddress(value);
+		if (param.type === 'bool') return parseBool(value);
+		if (param.type === 'string') return value;
+		if (param.type.match(/^u?int\d*$/)) return parseInteger(value, param.type);
+		if (param.type.match(/^bytes\d*$/)) return parseBytes(value, param.type);
+	} catch (err) {
+		throw new Error(`Invalid ${param.type} "${value}": ${err.message}`);
+	}
+
+	throw new Error(`Unsupported type ${param.type}`);
+}
+
+function parseInput({ input, value }) {
+	return parseValue(ParamType.from(input), value, true);
+}
+
+// Shows numeric values both raw and in human units, i.e. "1500000000000000000 (1.5)".
+function formatInput({ value, labelAddress = item => item }) {
+	if (ethers.BigNumber.isBigNumber(value)) {
+		return `${value.toString()} (${ethers.utils.formatEther(value)})`;
+	} else if (Array.isArray(value)) {
+		return `[${value.map(item => formatInput({ value: item, labelAddress })).join(', ')}]`;
+	} else {
+		return `${labelAddress(value)}`;
+	}
+}
+
+// Short hint about the expected syntax, to be appended to prompt messages.
+function getInputHint({ input }) {
+	const param = ParamType.from(input);
+
+	if (param.baseType === 'array') return 'use a,b,c or [a,b,c] syntax, nest arrays with [[a,b],[c]]';
+	if (param.baseType === 'tuple') return `use (${param.components.map(c => c.name || c.type).join(',')}) syntax`;
+	if (param.type === 'bytes32') return 'uses toBytes32 unless 0x prefixed';
+	if (param.type === 'bool') return 'true/false';
+	if (param.type.match(/^u?int\d*$/)) return 'accepts units, i.e. 1.5 ether, 250 gwei, 1e18, 100 %';
+
+	return undefined;
+}
+
+module.exports = {
+	parseInput,
+	formatInput,
+	getInputHint,
+};
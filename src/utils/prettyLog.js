@@ -1,6 +1,29 @@
+const ethers = require('ethers');
 const { green, red, cyan, gray } = require('chalk');
 
-function logReceipt(receipt, contract) {
+function formatLogArg({ type, value, labelAddress }) {
+	if (ethers.BigNumber.isBigNumber(value)) {
+		return `${value.toString()} (${ethers.utils.formatEther(value)})`;
+	} else if (Array.isArray(value)) {
+		const itemType = type.replace(/\[\d*\]$/, '');
+
+		return `[${value.map(item => formatLogArg({ type: itemType, value: item, labelAddress })).join(', ')}]`;
+	} else if (type === 'address' && labelAddress) {
+		return labelAddress(value);
+	} else if (type === 'bytes32') {
+		// Show currency keys and other short strings in plain text
+		try {
+			const str = ethers.utils.parseBytes32String(value);
+			if (str.match(/^[\x20-\x7e]+$/)) return str;
+		} catch (err) {
+			return value;
+		}
+	}
+
+	return `${value}`;
+}
+
+function logReceipt(receipt, contract, decodeLog, labelAddress) {
 	console.log(green('  ✅ Success'));
 	// console.log('receipt', JSON.stringify(receipt, null, 2));
 
@@ -12,8 +35,23 @@ function logReceipt(receipt, contract) {
 		console.log(gray(`    gas used: ${receipt.gasUsed.toString()}`));
 	}
 
-	// Print emitted events
-	if (contract && receipt.logs && receipt.logs.length > 0) {
+	// Print emitted events, decoded against the whole deployment when a decoder is available
+	if (decodeLog && receipt.logs && receipt.logs.length > 0) {
+		for (let i = 0; i < receipt.logs.length; i++) {
+			const log = receipt.logs[i];
+
+			const decoded = decodeLog(log);
+			if (decoded) {
+				console.log(gray(`    log ${i}:`), cyan(`${decoded.contractName || log.address}.${decoded.name}`));
+
+				for (const arg of decoded.args) {
+					console.log(gray(`      ${arg.name || arg.type}:`), formatLogArg({ ...arg, labelAddress }));
+				}
+			} else {
+				console.log(gray(`    log ${i}: unable to decode log - ${JSON.stringify(log)}`));
+			}
+		}
+	} else if (contract && receipt.logs && receipt.logs.length > 0) {
 		for (let i = 0; i < receipt.logs.length; i++) {
 			const log = receipt.logs[i];
 
@@ -27,20 +65,34 @@ function logReceipt(receipt, contract) {
 	}
 }
 
-function logError(error) {
-	console.log(red('  ❌ Error'));
+function logEvent(event, idx, labelAddress) {
+	console.log(
+		gray(`  ${idx}: block ${event.blockNumber}, tx ${event.transactionHash}, log ${event.logIndex}`),
+		cyan(event.name),
+	);
 
-	function findReason(error) {
-		if (typeof error === 'string') {
-			return error;
-		} else {
-			if (error.hasOwnProperty('reason')) {
-				return error.reason;
-			} else if (error.hasOwnProperty('error')) {
-				return findReason(error.error);
-			}
+	event.eventFragment.inputs.map((input, i) => {
+		console.log(
+			gray(`      ${input.name || input.type}:`),
+			formatLogArg({ type: input.type, value: event.args[i], labelAddress }),
+		);
+	});
+}
+
+function findReason(error) {
+	if (typeof error === 'string') {
+		return error;
+	} else {
+		if (error.hasOwnProperty('reason')) {
+			return error.reason;
+		} else if (error.hasOwnProperty('error')) {
+			return findReason(error.error);
 		}
 	}
+}
+
+function logError(error) {
+	console.log(red('  ❌ Error'));
 
 	const reason = findReason(error);
 	if (reason) console.log(red(`    Reason: ${reason}`));
@@ -49,6 +101,9 @@ function logError(error) {
 }
 
 module.exports = {
+	formatLogArg,
 	logReceipt,
 	logError,
+	logEvent,
+	findReason,
 };
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+const synthetix = require('synthetix');
+const ethers = require('ethers');
+
+const { parseInput } = require('./parseInput');
+
+const { FunctionFragment } = ethers.utils;
+
+function isViewFunction(abiItem) {
+	return abiItem.stateMutability === 'view' || abiItem.stateMutability === 'pure' || abiItem.constant === true;
+}
+
+// Finds a function by name, or by full signature for overloaded functions, i.e. "transfer(address,uint256)".
+function findFunction({ abi, functionName }) {
+	const useSignature = functionName.includes('(');
+	const signature = functionName.replace(/\s/g, '');
+
+	const candidates = abi.filter(item => {
+		if (item.type !== 'function') return false;
+
+		return useSignature ? FunctionFragment.from(item).format() === signature : item.name === functionName;
+	});
+
+	if (candidates.length === 0) {
+		throw new Error(`Function ${functionName} not found in abi.`);
+	}
+	if (candidates.length > 1) {
+		const signatures = candidates.map(item => FunctionFragment.from(item).format());
+		throw new Error(`Function ${functionName} is overloaded, use one of: ${signatures.join(', ')}.`);
+	}
+
+	return candidates[0];
+}
+
+// Resolves a contract call through the deployment data and parses its arguments.
+function resolveCall({
+	contract,
+	functionName,
+	args = [],
+	value,
+	network = 'mainnet',
+	useOvm = false,
+	deploymentPath = undefined,
+	signerOrProvider,
+}) {
+	const { getSource, getTarget } = synthetix.wrap({ network, useOvm, fs, path });
+
+	const target = getTarget({ contract, network, useOvm, deploymentPath });
+	if (!target) throw new Error(`Contract ${contract} not found in deployment.`);
+
+	const source = getSource({ contract: target.source, network, useOvm, deploymentPath });
+
+	const abiItem = findFunction({ abi: source.abi, functionName });
+	if (args.length !== abiItem.inputs.length) {
+		throw new Error(`${functionName} expects ${abiItem.inputs.length} arguments, got ${args.length}.`);
+	}
+
+	return {
+		target,
+		source,
+		abiItem,
+		functionSignature: FunctionFragment.from(abiItem).format(),
+		inputs: abiItem.inputs.map((input, idx) => parseInput({ input, value: args[idx] })),
+		value: value !== undefined ? parseInput({ input: { type: 'uint256' }, value }) : undefined,
+		contract: new ethers.Contract(target.address, source.abi, signerOrProvider),
+	};
+}
+
+module.exports = {
+	isViewFunction,
+	findFunction,
+	resolveCall,
+};
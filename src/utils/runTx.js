@@ -59,7 +59,30 @@ async function runTx({ tx, provider }) {
 	}
 }
 
+// Dry runs a contract call, returning its would-be return value and gas estimate.
+async function simulateTx({ contract, functionName, inputs, overrides }) {
+	try {
+		const result = await contract.callStatic[functionName](...inputs, overrides);
+		// Estimated from the same sender, i.e. the Safe in batch mode, but without the gas limit capping it
+		const estimateOverrides = { ...overrides };
+		delete estimateOverrides.gasLimit;
+		const gasEstimate = await contract.estimateGas[functionName](...inputs, estimateOverrides);
+
+		return {
+			success: true,
+			result,
+			gasEstimate,
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error,
+		};
+	}
+}
+
 module.exports = {
 	stageTx,
 	runTx,
+	simulateTx,
 };
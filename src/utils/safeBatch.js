@@ -0,0 +1,88 @@
+const fs = require('fs');
+
+const ethers = require('ethers');
+const { gray } = require('chalk');
+
+const { formatInput } = require('./parseInput');
+const { serializeValue } = require('./history');
+
+// Batches follow the Safe Transaction Builder JSON format, so they can be imported straight into the Safe UI.
+// Existing batch files are appended to.
+function loadSafeBatch({ batchFile, chainId, safeAddress, name = 'synthetix-cli batch' }) {
+	if (fs.existsSync(batchFile)) {
+		const batch = JSON.parse(fs.readFileSync(batchFile));
+		if (batch.chainId !== `${chainId}`) {
+			throw new Error(`Safe batch ${batchFile} was created for chain ${batch.chainId}, not ${chainId}.`);
+		}
+
+		return batch;
+	}
+
+	return {
+		version: '1.0',
+		chainId: `${chainId}`,
+		createdAt: Date.now(),
+		meta: {
+			name,
+			description: '',
+			txBuilderVersion: '1.16.1',
+			createdFromSafeAddress: safeAddress,
+			createdFromOwnerAddress: '',
+		},
+		transactions: [],
+	};
+}
+
+function toInputValue(value) {
+	const serialized = serializeValue(value);
+
+	return typeof serialized === 'string' ? serialized : JSON.stringify(serialized);
+}
+
+function addToSafeBatch({ batch, contractName, contract, abiItem, inputs, value }) {
+	const functionSignature = ethers.utils.FunctionFragment.from(abiItem).format();
+
+	const args = inputs.map(input => formatInput({ value: input }));
+	const description = `${contractName}.${abiItem.name}(${args.join(', ')})`;
+
+	const transaction = {
+		to: contract.address,
+		value: value ? value.toString() : '0',
+		data: contract.interface.encodeFunctionData(functionSignature, inputs),
+		contractMethod: {
+			name: abiItem.name,
+			payable: abiItem.stateMutability === 'payable',
+			inputs: abiItem.inputs.map(input => ({
+				name: input.name,
+				type: input.type,
+				internalType: input.internalType || input.type,
+			})),
+		},
+		contractInputsValues: abiItem.inputs.reduce((values, input, idx) => {
+			values[input.name || `${idx}`] = toInputValue(inputs[idx]);
+
+			return values;
+		}, {}),
+		description,
+	};
+
+	batch.transactions.push(transaction);
+	batch.meta.description = batch.transactions.map(tx => tx.description).join('\n');
+
+	console.log(gray(`  > Added to Safe batch (${batch.transactions.length}): ${description}`));
+	console.log(gray(`    to: ${transaction.to}`));
+	console.log(gray(`    value: ${transaction.value}`));
+	console.log(gray(`    data: ${transaction.data}`));
+
+	return transaction;
+}
+
+function writeSafeBatch({ batch, batchFile }) {
+	fs.writeFileSync(batchFile, JSON.stringify(batch, null, 2));
+}
+
+module.exports = {
+	loadSafeBatch,
+	addToSafeBatch,
+	writeSafeBatch,
+};
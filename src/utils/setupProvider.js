@@ -1,3 +1,5 @@
+const fs = require('fs');
+
 const ethers = require('ethers');
 
 function setupProvider({ providerUrl, privateKey, publicKey }) {
@@ -22,6 +24,16 @@ function setupProvider({ providerUrl, privateKey, publicKey }) {
 	};
 }
 
+// Decrypts a JSON keystore (v3) file, i.e. for signing on an air-gapped machine.
+async function getKeystoreWallet({ keystorePath, password, provider }) {
+	if (!fs.existsSync(keystorePath)) throw new Error(`No keystore at ${keystorePath}.`);
+
+	const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystorePath, 'utf8'), password);
+
+	return provider ? wallet.connect(provider) : wallet;
+}
+
 module.exports = {
 	setupProvider,
+	getKeystoreWallet,
 };
@@ -0,0 +1,109 @@
+const ethers = require('ethers');
+const { cyan, gray, red } = require('chalk');
+
+const { parseInput } = require('./parseInput');
+const { serializeValue } = require('./history');
+const { isViewFunction } = require('./resolveCall');
+
+// Multiple outputs are keyed by name (or index when unnamed).
+function serializeResult({ abiItem, result }) {
+	if (abiItem.outputs.length <= 1) {
+		return serializeValue(result);
+	}
+
+	return abiItem.outputs.reduce((serialized, output, idx) => {
+		serialized[output.name || `${idx}`] = serializeValue(result[idx]);
+
+		return serialized;
+	}, {});
+}
+
+// Calls every zero argument view of a contract, and every single address/bytes32 argument view
+// for each of the supplied addresses and keys.
+async function takeSnapshot({ contractName, contract, abi, addresses = [], keys = [], blockTag = 'latest' }) {
+	const views = abi.filter(item => item.type === 'function' && isViewFunction(item));
+
+	const snapshot = {
+		contract: contractName,
+		address: contract.address,
+		blockTag,
+		takenAt: new Date().toISOString(),
+		values: {},
+		valuesByArgument: {},
+		errors: {},
+	};
+
+	// Keys can be plain strings like sETH, they are converted with toBytes32
+	const argsByType = {
+		address: addresses.map(address => ({
+			label: address,
+			value: parseInput({ input: { type: 'address' }, value: address }),
+		})),
+		bytes32: keys.map(key => ({ label: key, value: parseInput({ input: { type: 'bytes32' }, value: key }) })),
+	};
+
+	const calls = [];
+	for (const abiItem of views) {
+		const signature = ethers.utils.FunctionFragment.from(abiItem).format();
+
+		if (abiItem.inputs.length === 0) {
+			calls.push({ abiItem, signature });
+		} else if (abiItem.inputs.length === 1) {
+			const args = argsByType[abiItem.inputs[0].type] || [];
+
+			args.map(arg => calls.push({ abiItem, signature, arg }));
+		}
+	}
+
+	await Promise.all(
+		calls.map(async ({ abiItem, signature, arg }) => {
+			const label = arg ? `${signature}[${arg.label}]` : signature;
+
+			try {
+				const args = arg ? [arg.value] : [];
+				const result = serializeResult({
+					abiItem,
+					result: await contract[signature](...args, { blockTag }),
+				});
+
+				if (arg) {
+					snapshot.valuesByArgument[signature] = snapshot.valuesByArgument[signature] || {};
+					snapshot.valuesByArgument[signature][arg.label] = result;
+				} else {
+					snapshot.values[signature] = result;
+				}
+			} catch (err) {
+				snapshot.errors[label] = err.reason || err.message;
+			}
+		}),
+	);
+
+	return snapshot;
+}
+
+function logSnapshot(snapshot, labelAddress = value => value) {
+	const format = value => JSON.stringify(value, (key, item) => labelAddress(item));
+
+	console.log(gray(`  > ${snapshot.contract} (${snapshot.address}) at block ${snapshot.blockTag}`));
+
+	for (const signature of Object.keys(snapshot.values).sort()) {
+		console.log(cyan(`  ${signature}:`), format(snapshot.values[signature]));
+	}
+
+	for (const signature of Object.keys(snapshot.valuesByArgument).sort()) {
+		console.log(cyan(`  ${signature}:`));
+
+		for (const arg of Object.keys(snapshot.valuesByArgument[signature])) {
+			console.log(gray(`    ${labelAddress(arg)}:`), format(snapshot.valuesByArgument[signature][arg]));
+		}
+	}
+
+	for (const label of Object.keys(snapshot.errors).sort()) {
+		console.log(red(`  ${label}: ${snapshot.errors[label]}`));
+	}
+}
+
+module.exports = {
+	takeSnapshot,
+	logSnapshot,
+};
@@ -0,0 +1,244 @@
+const ethers = require('ethers');
+const { formatUnits } = require('ethers').utils;
+
+const { getContract } = require('./getContract');
+const { selectStatusSections } = require('./statusSections');
+
+// Converts values returned by contracts to plain JSON, structs are keyed by their output names.
+function serializeRaw(value) {
+	if (ethers.BigNumber.isBigNumber(value)) {
+		return value.toString();
+	} else if (Array.isArray(value)) {
+		const keys = Object.keys(value).filter(key => isNaN(key));
+		if (keys.length > 0 && keys.length === value.length) {
+			return keys.reduce((struct, key) => Object.assign(struct, { [key]: serializeRaw(value[key]) }), {});
+		}
+
+		return value.map(item => serializeRaw(item));
+	} else if (value instanceof Date) {
+		return value.toISOString();
+	} else if (value && typeof value === 'object') {
+		return Object.keys(value).reduce((obj, key) => Object.assign(obj, { [key]: serializeRaw(value[key]) }), {});
+	} else {
+		return value;
+	}
+}
+
+function findItems({ report, sectionName, match }) {
+	const section = report.sections.find(section => section.name === sectionName);
+
+	return section ? section.items.filter(match) : [];
+}
+
+function getItemKey({ sectionName, item }) {
+	return [sectionName, item.group, item.address, item.name].filter(part => part !== undefined).join(' / ');
+}
+
+// Lists the items whose raw value differs between two reports, including items present in only one of them.
+function diffReports({ from, to }) {
+	const indexItems = report => {
+		const items = {};
+		for (const section of report.sections) {
+			for (const item of section.items) {
+				items[getItemKey({ sectionName: section.name, item })] = { sectionName: section.name, ...item };
+			}
+		}
+
+		return items;
+	};
+
+	const fromItems = indexItems(from);
+	const toItems = indexItems(to);
+
+	const keys = [...new Set([...Object.keys(fromItems), ...Object.keys(toItems)])];
+
+	return keys
+		.filter(key => JSON.stringify((fromItems[key] || {}).raw) !== JSON.stringify((toItems[key] || {}).raw))
+		.map(key => {
+			const { sectionName, group, address, name, decimals } = toItems[key] || fromItems[key];
+
+			return {
+				key,
+				sectionName,
+				group,
+				address,
+				name,
+				decimals,
+				from: (fromItems[key] || {}).raw,
+				to: (toItems[key] || {}).raw,
+				fromValue: (fromItems[key] || {}).value,
+				toValue: (toItems[key] || {}).value,
+			};
+		});
+}
+
+function isNumeric(value) {
+	return typeof value === 'number' || (typeof value === 'string' && /^-?\d+$/.test(value));
+}
+
+// Absolute and percentage delta between two raw values, fixed point values are formatted with their decimals.
+function getDelta({ from, to, decimals }) {
+	if (!isNumeric(from) || !isNumeric(to)) {
+		return { from, to };
+	}
+
+	if (typeof from === 'number' || typeof to === 'number') {
+		const delta = +to - +from;
+
+		return {
+			from,
+			to,
+			delta: `${delta >= 0 ? '+' : ''}${delta}`,
+			percent: +from === 0 ? undefined : (delta / Math.abs(+from)) * 100,
+		};
+	}
+
+	const format = value => (decimals ? formatUnits(value, decimals) : value.toString());
+
+	const fromValue = ethers.BigNumber.from(from);
+	const toValue = ethers.BigNumber.from(to);
+	const delta = toValue.sub(fromValue);
+
+	return {
+		from: format(fromValue),
+		to: format(toValue),
+		delta: `${delta.gte(0) ? '+' : ''}${format(delta)}`,
+		// Scaled up before dividing, to keep 6 decimals of precision
+		percent: fromValue.isZero() ? undefined : +delta.mul(1e8).div(fromValue.abs()).toString() / 1e6,
+	};
+}
+
+// Splits a change into its changed fields, a single unnamed field for plain values.
+function getChangedFields(change) {
+	const { from, to, decimals } = change;
+
+	const isStruct = value => value && typeof value === 'object' && !Array.isArray(value);
+	if (!isStruct(from) || !isStruct(to)) {
+		return [{ field: undefined, ...getDelta({ from, to, decimals }) }];
+	}
+
+	const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+	return fields
+		.filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+		.map(field => ({
+			field,
+			...getDelta({ from: from[field], to: to[field], decimals: (decimals || {})[field] }),
+		}));
+}
+
+// Reads the given status sections, or all of them, at the given block.
+async function getStatusReport({
+	network,
+	useOvm,
+	provider,
+	providerUrl,
+	deploymentPath,
+	addresses = [],
+	sections = [],
+	currencies = [],
+	blockTag = 'latest',
+	labelAddress = value => value,
+	silent = false,
+}) {
+	const blockOptions = { blockTag };
+
+	const statusSections = selectStatusSections(sections);
+
+	const getStatusContract = ({ contract, source }) =>
+		getContract({
+			contract,
+			source,
+			network,
+			useOvm,
+			provider,
+			deploymentPath,
+			silent,
+		});
+
+	const { number, timestamp } = await provider.getBlock(blockTag);
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~ Report utils ~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	// Items are recorded with both the raw contract value and its human readable form,
+	// so that callers can render them as text or json, or compare reports.
+	const report = {
+		network,
+		useOvm,
+		deploymentPath,
+		providerUrl,
+		block: { number, timestamp },
+		sections: [],
+	};
+
+	let section, address, group;
+
+	const logSection = sectionName => {
+		section = { name: sectionName, items: [] };
+		report.sections.push(section);
+
+		address = undefined;
+		group = undefined;
+	};
+
+	// Following items are specific to this address
+	const logAddress = value => {
+		address = value;
+		group = undefined;
+	};
+
+	// Following items are nested under this group, until the next address or section
+	const logGroup = groupName => {
+		group = groupName;
+	};
+
+	// Decimals of fixed point raw values, per field for structs, i.e. 18 for amounts in ether
+	const logItem = ({ name, value, raw = value, warning = false, decimals }) => {
+		section.items.push({
+			name,
+			group,
+			address,
+			value: value instanceof Date ? value.toString() : value,
+			raw: serializeRaw(raw),
+			decimals,
+			warning,
+		});
+	};
+
+	/* ~~~~~~~~~~~~~~~~~~~ */
+	/* ~~~~ Sections ~~~~~ */
+	/* ~~~~~~~~~~~~~~~~~~~ */
+
+	for (const statusSection of statusSections) {
+		logSection(statusSection.name);
+
+		await statusSection.read({
+			network,
+			useOvm,
+			provider,
+			addresses,
+			currencies,
+			block: report.block,
+			blockOptions,
+			labelAddress,
+			getStatusContract,
+			logAddress,
+			logGroup,
+			logItem,
+		});
+	}
+
+	return report;
+}
+
+module.exports = {
+	serializeRaw,
+	findItems,
+	getItemKey,
+	diffReports,
+	getDelta,
+	getChangedFields,
+	getStatusReport,
+};
@@ -0,0 +1,16 @@
+const { formatBytes32String } = require('ethers').utils;
+
+module.exports = {
+	id: 'addressresolver',
+	name: 'AddressResolver',
+	async read({ blockOptions, labelAddress, getStatusContract, logItem }) {
+		const AddressResolver = getStatusContract({ contract: 'AddressResolver' });
+
+		const getAddress = async ({ contract }) => {
+			const resolved = await AddressResolver.getAddress(formatBytes32String(contract), blockOptions);
+			logItem({ name: `AddressResolver.getAddress(${contract})`, value: labelAddress(resolved), raw: resolved });
+		};
+
+		await getAddress({ contract: 'RewardsDistribution' });
+	},
+};
@@ -0,0 +1,16 @@
+module.exports = {
+	id: 'debtcache',
+	name: 'DebtCache',
+	async read({ useOvm, blockOptions, getStatusContract, logItem }) {
+		const DebtCache = getStatusContract({
+			contract: 'DebtCache',
+			source: useOvm ? 'RealtimeDebtCache' : 'DebtCache',
+		});
+
+		const info = await DebtCache.cacheInfo(blockOptions);
+
+		logItem({ name: 'DebtCache.info.isInvalid', value: info.isInvalid, warning: info.isInvalid });
+
+		logItem({ name: 'DebtCache.info.isStale', value: info.isStale, warning: info.isStale });
+	},
+};
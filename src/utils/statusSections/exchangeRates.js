@@ -0,0 +1,45 @@
+const { formatEther, formatBytes32String, parseBytes32String } = require('ethers').utils;
+
+module.exports = {
+	id: 'rates',
+	name: 'ExchangeRates',
+	async read({ currencies, block, blockOptions, getStatusContract, logItem }) {
+		const ExchangeRates = getStatusContract({ contract: 'ExchangeRates' });
+
+		// The available keys are only looked up when no currencies were asked for
+		let currencyKeys;
+		if (currencies.length > 0) {
+			currencyKeys = currencies.map(currency => formatBytes32String(currency));
+		} else {
+			const Issuer = getStatusContract({ contract: 'Issuer' });
+
+			currencyKeys = [...(await Issuer.availableCurrencyKeys(blockOptions)), formatBytes32String('SNX')];
+		}
+
+		// Read all at once, then logged in order
+		const rates = await Promise.all(
+			currencyKeys.map(async currencyKey => {
+				const [rate, isInvalid, isStale, updated] = await Promise.all([
+					ExchangeRates.rateForCurrency(currencyKey, blockOptions),
+					ExchangeRates.rateIsInvalid(currencyKey, blockOptions),
+					ExchangeRates.rateIsStale(currencyKey, blockOptions),
+					ExchangeRates.lastRateUpdateTimes(currencyKey, blockOptions),
+				]);
+
+				return { currency: parseBytes32String(currencyKey), rate, isInvalid, isStale, updated };
+			}),
+		);
+
+		for (const { currency, rate, isInvalid, isStale, updated } of rates) {
+			const sinceUpdate = Math.floor((block.timestamp - +updated.toString()) / 60);
+
+			logItem({
+				name: `${currency} rate`,
+				value: `${formatEther(rate)} (Updated ${sinceUpdate} minutes ago)`,
+				raw: { rate, isInvalid, isStale, lastRateUpdateTime: updated },
+				decimals: { rate: 18 },
+				warning: isInvalid,
+			});
+		}
+	},
+};
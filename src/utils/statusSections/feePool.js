@@ -0,0 +1,47 @@
+module.exports = {
+	id: 'feepool',
+	name: 'FeePool',
+	async read({ addresses, blockOptions, getStatusContract, logAddress, logGroup, logItem }) {
+		const FeePool = getStatusContract({ contract: 'FeePool' });
+
+		logItem({ name: 'FeePool.feePeriodDuration', value: (await FeePool.feePeriodDuration(blockOptions)).toString() });
+
+		async function feePeriodInfo(idx) {
+			const feePeriod = await FeePool.recentFeePeriods(idx, blockOptions);
+			logGroup(`feePeriod ${idx}`);
+
+			Object.keys(feePeriod).map(key => {
+				if (key === 'startTime') {
+					logItem({ name: key, value: new Date(feePeriod[key].toString() * 1000), raw: feePeriod[key] });
+				} else if (isNaN(key)) {
+					// Fees are in sUSD and rewards in SNX
+					const decimals = key.match(/^(fees|rewards)/) ? 18 : undefined;
+
+					logItem({ name: key, value: `${feePeriod[key].toString()}`, raw: feePeriod[key], decimals });
+				}
+			});
+		}
+
+		await feePeriodInfo(0);
+		await feePeriodInfo(1);
+
+		for (const account of addresses) {
+			logAddress(account);
+
+			const feesByPeriod = await FeePool.feesByPeriod(account, blockOptions);
+			logItem({
+				name: 'FeePool.feesByPeriod(address)',
+				value: feesByPeriod.map(period => period.map(fee => fee.toString())),
+			});
+
+			const lastFeeWithdrawal = await FeePool.getLastFeeWithdrawal(account, blockOptions);
+			logItem({ name: 'FeePool.getLastFeeWithdrawal(address)', value: lastFeeWithdrawal.toString() });
+
+			const effectiveDebtRatioForPeriod = await FeePool.effectiveDebtRatioForPeriod(account, 1, blockOptions);
+			logItem({
+				name: 'FeePool.effectiveDebtRatioForPeriod(address, 1)',
+				value: effectiveDebtRatioForPeriod.toString(),
+			});
+		}
+	},
+};
@@ -0,0 +1,18 @@
+module.exports = {
+	id: 'feepoolstate',
+	name: 'FeePoolState',
+	async read({ addresses, blockOptions, getStatusContract, logAddress, logItem }) {
+		const FeePoolState = getStatusContract({ contract: 'FeePoolState' });
+
+		for (const account of addresses) {
+			logAddress(account);
+
+			const debtEntry = await FeePoolState.getAccountsDebtEntry(account, 0, blockOptions);
+			logItem({
+				name: 'FeePoolState.getAccountsDebtEntry(address)',
+				value: debtEntry.map(item => item.toString()),
+				raw: debtEntry,
+			});
+		}
+	},
+};
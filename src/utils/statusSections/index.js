@@ -0,0 +1,56 @@
+// Sections are read in this order. Each one is a module exporting an id used to select it,
+// the name it is reported under and a read function logging its items.
+const statusSections = [
+	require('./systemStatus'),
+	require('./synthetix'),
+	require('./debtCache'),
+	require('./synthetixState'),
+	require('./supplySchedule'),
+	require('./feePool'),
+	require('./feePoolState'),
+	require('./addressResolver'),
+	require('./systemSettings'),
+	require('./exchangeRates'),
+];
+
+function registerStatusSection(section) {
+	const { id, name, read } = section;
+
+	if (!id || !name || typeof read !== 'function') {
+		throw new Error('A status section needs an id, a name and a read function.');
+	}
+	if (statusSections.some(existing => existing.id === id)) {
+		throw new Error(`A status section with id ${id} is already registered.`);
+	}
+
+	statusSections.push(section);
+}
+
+function getStatusSections() {
+	return [...statusSections];
+}
+
+// Sections can be selected by id or name, case insensitively, and are read in registry order.
+function selectStatusSections(ids = []) {
+	if (ids.length === 0) {
+		return getStatusSections();
+	}
+
+	const matches = (section, id) => [section.id, section.name.toLowerCase()].includes(id.toLowerCase());
+
+	for (const id of ids) {
+		if (!statusSections.some(section => matches(section, id))) {
+			const available = statusSections.map(section => section.id).join(', ');
+
+			throw new Error(`Unknown status section ${id}, available sections are ${available}.`);
+		}
+	}
+
+	return statusSections.filter(section => ids.some(id => matches(section, id)));
+}
+
+module.exports = {
+	registerStatusSection,
+	getStatusSections,
+	selectStatusSections,
+};
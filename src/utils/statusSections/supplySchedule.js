@@ -0,0 +1,48 @@
+const { formatEther } = require('ethers').utils;
+
+module.exports = {
+	id: 'supplyschedule',
+	name: 'SupplySchedule',
+	async read({ useOvm, blockOptions, getStatusContract, logItem }) {
+		const SupplySchedule = getStatusContract({
+			contract: 'SupplySchedule',
+			source: useOvm ? 'FixedSupplySchedule' : 'SupplySchedule',
+		});
+
+		const mintableSupply = await SupplySchedule.mintableSupply(blockOptions);
+		logItem({
+			name: 'SupplySchedule.mintableSupply',
+			value: formatEther(mintableSupply),
+			raw: mintableSupply,
+			decimals: 18,
+		});
+
+		if (useOvm) {
+			const inflationStartDate = await SupplySchedule.inflationStartDate(blockOptions);
+			logItem({
+				name: 'FixedSupplySchedule.inflationStartDate',
+				value: new Date(inflationStartDate.toString() * 1000),
+				raw: inflationStartDate,
+			});
+
+			const lastMint = (await SupplySchedule.lastMintEvent(blockOptions)).toNumber();
+			logItem({ name: 'FixedSupplySchedule.lastMintEvent', value: lastMint });
+			const mintPeriod = (await SupplySchedule.mintPeriodDuration(blockOptions)).toNumber();
+			logItem({ name: 'FixedSupplySchedule.mintPeriodDuration', value: mintPeriod });
+
+			const now = Math.floor(new Date().getTime() / 1000);
+
+			const remainingHours = (lastMint + mintPeriod - now) / (60 * 60);
+			logItem({ name: 'Remaining hours until period ends', value: remainingHours });
+
+			logItem({
+				name: 'FixedSupplySchedule.mintBuffer',
+				value: (await SupplySchedule.mintBuffer(blockOptions)).toString(),
+			});
+			logItem({
+				name: 'FixedSupplySchedule.periodsSinceLastIssuance',
+				value: (await SupplySchedule.periodsSinceLastIssuance(blockOptions)).toString(),
+			});
+		}
+	},
+};
@@ -0,0 +1,20 @@
+module.exports = {
+	id: 'synthetix',
+	name: 'Synthetix',
+	async read({ useOvm, blockOptions, getStatusContract, logItem }) {
+		const Synthetix = getStatusContract({
+			contract: 'Synthetix',
+			source: useOvm ? 'MintableSynthetix' : 'Synthetix',
+		});
+
+		const anySynthOrSNXRateIsInvalid = await Synthetix.anySynthOrSNXRateIsInvalid(blockOptions);
+		logItem({
+			name: 'Synthetix.anySynthOrSNXRateIsInvalid',
+			value: anySynthOrSNXRateIsInvalid,
+			warning: anySynthOrSNXRateIsInvalid,
+		});
+
+		const totalSupply = await Synthetix.totalSupply(blockOptions);
+		logItem({ name: 'Synthetix.totalSupply', value: totalSupply.toString() / 1e18, raw: totalSupply, decimals: 18 });
+	},
+};
@@ -0,0 +1,14 @@
+module.exports = {
+	id: 'synthetixstate',
+	name: 'SynthetixState',
+	async read({ addresses, blockOptions, getStatusContract, logAddress, logItem }) {
+		const SynthetixState = getStatusContract({ contract: 'SynthetixState' });
+
+		for (const account of addresses) {
+			logAddress(account);
+
+			const data = await SynthetixState.issuanceData(account, blockOptions);
+			logItem({ name: 'SynthetixState.issuanceData(address)', value: data.toString(), raw: data });
+		}
+	},
+};
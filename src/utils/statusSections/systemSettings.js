@@ -0,0 +1,11 @@
+module.exports = {
+	id: 'systemsettings',
+	name: 'SystemSettings',
+	async read({ blockOptions, getStatusContract, logItem }) {
+		const SystemSettings = getStatusContract({ contract: 'SystemSettings' });
+
+		const rateStalePeriod = await SystemSettings.rateStalePeriod(blockOptions);
+
+		logItem({ name: 'rateStalePeriod', value: rateStalePeriod.toString() });
+	},
+};
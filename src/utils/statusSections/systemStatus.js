@@ -0,0 +1,40 @@
+const { parseBytes32String } = require('ethers').utils;
+
+const { describeSuspension, readSuspension } = require('../systemStatus');
+
+module.exports = {
+	id: 'systemstatus',
+	name: 'SystemStatus',
+	async read({ currencies, blockOptions, getStatusContract, logGroup, logItem }) {
+		const SystemStatus = getStatusContract({ contract: 'SystemStatus' });
+
+		const logSuspension = ({ name, suspension }) => {
+			logItem({
+				name,
+				value: describeSuspension(suspension),
+				raw: suspension,
+				warning: suspension.suspended,
+			});
+		};
+
+		for (const sectionName of ['system', 'issuance', 'exchange']) {
+			const suspension = await readSuspension({ SystemStatus, sectionName, blockOptions });
+
+			logSuspension({ name: `SystemStatus.${sectionName}Suspension`, suspension });
+		}
+
+		let synths = currencies;
+		if (synths.length === 0) {
+			const Issuer = getStatusContract({ contract: 'Issuer' });
+
+			synths = (await Issuer.availableCurrencyKeys(blockOptions)).map(key => parseBytes32String(key));
+		}
+
+		const suspensions = await Promise.all(
+			synths.map(currency => readSuspension({ SystemStatus, sectionName: 'synth', currency, blockOptions })),
+		);
+
+		logGroup('synthSuspension');
+		synths.forEach((currency, idx) => logSuspension({ name: currency, suspension: suspensions[idx] }));
+	},
+};
@@ -0,0 +1,87 @@
+const { formatBytes32String } = require('ethers').utils;
+
+// Suspendable sections of SystemStatus, with their access control key and the functions reading and changing them.
+const SUSPENSION_SECTIONS = {
+	system: {
+		section: 'System',
+		view: 'systemSuspension',
+		suspend: 'suspendSystem',
+		resume: 'resumeSystem',
+	},
+	issuance: {
+		section: 'Issuance',
+		view: 'issuanceSuspension',
+		suspend: 'suspendIssuance',
+		resume: 'resumeIssuance',
+	},
+	exchange: {
+		section: 'Exchange',
+		view: 'exchangeSuspension',
+		suspend: 'suspendExchange',
+		resume: 'resumeExchange',
+	},
+	synth: {
+		section: 'Synth',
+		view: 'synthSuspension',
+		suspend: 'suspendSynth',
+		resume: 'resumeSynth',
+		perSynth: true,
+	},
+};
+
+// Reason codes used by the protocol, any other code is shown as is.
+const SUSPENSION_REASONS = {
+	1: 'System upgrade',
+	2: 'Market closure',
+	3: 'Circuit breaker',
+	55: 'Circuit breaker',
+	65: 'Decentralized circuit breaker',
+	99999: 'Emergency',
+};
+
+function describeSuspension({ suspended, reason }) {
+	if (!suspended) return 'active';
+
+	const code = reason.toString();
+
+	return `suspended (reason ${code}${SUSPENSION_REASONS[code] ? `: ${SUSPENSION_REASONS[code]}` : ''})`;
+}
+
+async function readSuspension({ SystemStatus, sectionName, currency, blockOptions = {} }) {
+	const { view } = SUSPENSION_SECTIONS[sectionName];
+
+	const { suspended, reason } = currency
+		? await SystemStatus[view](formatBytes32String(currency), blockOptions)
+		: await SystemStatus[view](blockOptions);
+
+	return { suspended, reason };
+}
+
+// Lists the SystemStatus calls suspending or resuming a section, one per synth for the synth section.
+function getSuspensionCalls({ sectionName, action, currencies = [], reason }) {
+	const section = SUSPENSION_SECTIONS[sectionName];
+	if (!section) {
+		throw new Error(`Unknown section ${sectionName}, use one of ${Object.keys(SUSPENSION_SECTIONS).join(', ')}.`);
+	}
+	if (!['suspend', 'resume'].includes(action)) throw new Error(`Unknown action ${action}, use suspend or resume.`);
+	if (action === 'suspend' && reason === undefined) throw new Error('Please specify a reason code to suspend with.');
+
+	const functionName = section[action];
+	const reasonArgs = action === 'suspend' ? [`${reason}`] : [];
+
+	if (!section.perSynth) {
+		return [{ functionName, args: reasonArgs }];
+	}
+
+	if (currencies.length === 0) throw new Error('Please specify the synths to suspend or resume.');
+
+	return currencies.map(currency => ({ functionName, args: [currency, ...reasonArgs], currency }));
+}
+
+module.exports = {
+	SUSPENSION_SECTIONS,
+	SUSPENSION_REASONS,
+	describeSuspension,
+	readSuspension,
+	getSuspensionCalls,
+};
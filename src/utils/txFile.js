@@ -0,0 +1,203 @@
+const fs = require('fs');
+
+const ethers = require('ethers');
+
+const { getDeploymentData } = require('./getContract');
+const { resolveCall } = require('./resolveCall');
+const { formatLogArg } = require('./prettyLog');
+
+// Version of the unsigned/signed transaction file format used by build-tx, sign-tx and broadcast-tx.
+const TX_FILE_VERSION = 1;
+
+function writeTxFile({ file, data }) {
+	fs.writeFileSync(file, JSON.stringify({ version: TX_FILE_VERSION, ...data }, null, 2));
+}
+
+function readTxFile({ file, signed = false }) {
+	if (!file) throw new Error('Please specify a path to a transaction file.');
+	if (!fs.existsSync(file)) throw new Error(`No file at ${file}.`);
+
+	const data = JSON.parse(fs.readFileSync(file));
+	if (data.version !== TX_FILE_VERSION) {
+		throw new Error(`Unsupported transaction file version ${data.version} in ${file}.`);
+	}
+	if (!data.transaction) {
+		throw new Error(`No transaction found in ${file}.`);
+	}
+	if (signed && !data.signedTransaction) {
+		throw new Error(`${file} has not been signed yet, use sign-tx first.`);
+	}
+
+	return data;
+}
+
+// Numeric fields are stored as decimal strings so that files are easy to review by hand.
+function serializeTransaction(tx) {
+	return Object.keys(tx).reduce((serialized, key) => {
+		const value = tx[key];
+		serialized[key] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+
+		return serialized;
+	}, {});
+}
+
+const NUMERIC_FIELDS = ['value', 'gasLimit', 'gasPrice'];
+
+function deserializeTransaction(tx) {
+	return Object.keys(tx).reduce((deserialized, key) => {
+		const value = tx[key];
+		deserialized[key] = NUMERIC_FIELDS.includes(key) ? ethers.BigNumber.from(value) : value;
+
+		return deserialized;
+	}, {});
+}
+
+// Builds an unsigned transaction for a call resolved with resolveCall, estimating gas unless a limit is given.
+async function buildTransaction({ provider, call, from, nonce, gasPrice, gasLimit }) {
+	const { chainId } = await provider.getNetwork();
+
+	const transaction = {
+		to: call.target.address,
+		data: call.contract.interface.encodeFunctionData(call.functionSignature, call.inputs),
+		value: call.value || ethers.constants.Zero,
+		chainId,
+		nonce: nonce !== undefined ? +nonce : await provider.getTransactionCount(from, 'pending'),
+		gasPrice: ethers.utils.parseUnits(`${gasPrice}`, 'gwei'),
+	};
+
+	if (gasLimit) {
+		transaction.gasLimit = ethers.BigNumber.from(gasLimit);
+	} else {
+		transaction.gasLimit = await provider.estimateGas({ ...transaction, from });
+	}
+
+	return transaction;
+}
+
+// Decodes the data of a transaction against the deployment it is sent to, so that what is reviewed is what
+// gets signed. The call described in the file, if any, has to encode to exactly the same data.
+function decodeTransaction({ data, network, useOvm, deploymentPath }) {
+	const { transaction, call } = data;
+
+	if (call && (call.network !== network || !!call.useOvm !== !!useOvm)) {
+		const describeNetwork = (name, ovm) => `${name}${ovm ? ' (ovm)' : ''}`;
+		throw new Error(
+			`Transaction was built for ${describeNetwork(call.network, call.useOvm)}, ` +
+				`not ${describeNetwork(network, useOvm)}, use the same network and ovm options to sign it.`,
+		);
+	}
+
+	const { targets, sources } = getDeploymentData({ network, useOvm, deploymentPath });
+
+	// Several targets can share an address, try the one the file names first
+	const named = call ? call.contract : undefined;
+	const candidates = Object.values(targets)
+		.filter(target => target.address.toLowerCase() === transaction.to.toLowerCase())
+		.sort((a, b) => (b.name === named) - (a.name === named));
+	if (candidates.length === 0) {
+		throw new Error(`${transaction.to} is not a contract of the ${network} deployment, cannot decode the transaction.`);
+	}
+
+	let decoded;
+	for (const target of candidates) {
+		const source = sources[target.source];
+		if (!source || !source.abi) continue;
+
+		try {
+			const parsed = new ethers.utils.Interface(source.abi).parseTransaction({ data: transaction.data });
+
+			decoded = {
+				contract: target.name,
+				signature: parsed.functionFragment.format(),
+				args: parsed.functionFragment.inputs.map((input, idx) => ({
+					name: input.name,
+					type: input.type,
+					value: parsed.args[idx],
+				})),
+			};
+			break;
+		} catch (err) {
+			// Not a function of this source
+		}
+	}
+	if (!decoded) throw new Error(`Could not decode the data of the transaction to ${transaction.to}.`);
+
+	if (call) {
+		const resolved = resolveCall({
+			contract: call.contract,
+			functionName: call.signature,
+			args: call.args,
+			network,
+			useOvm,
+			deploymentPath,
+		});
+		const callData = resolved.contract.interface.encodeFunctionData(resolved.functionSignature, resolved.inputs);
+
+		const sameTarget = resolved.target.address.toLowerCase() === transaction.to.toLowerCase();
+		if (!sameTarget || callData !== transaction.data.toLowerCase()) {
+			throw new Error(
+				`Transaction data does not match the call described in the file, ${call.contract}.${call.signature}.`,
+			);
+		}
+	}
+
+	return decoded;
+}
+
+// Parses the signed transaction of a file, making sure it is the transaction described next to it.
+function parseSignedTransaction({ data }) {
+	const parsed = ethers.utils.parseTransaction(data.signedTransaction);
+	const transaction = deserializeTransaction(data.transaction);
+
+	const same = {
+		chainId: `${parsed.chainId}` === `${transaction.chainId}`,
+		to: `${parsed.to}`.toLowerCase() === `${transaction.to}`.toLowerCase(),
+		value: parsed.value.eq(transaction.value || 0),
+		data: parsed.data.toLowerCase() === `${transaction.data || '0x'}`.toLowerCase(),
+		nonce: `${parsed.nonce}` === `${transaction.nonce}`,
+		gasLimit: parsed.gasLimit.eq(transaction.gasLimit),
+		gasPrice: parsed.gasPrice.eq(transaction.gasPrice),
+	};
+
+	const mismatches = Object.keys(same).filter(field => !same[field]);
+	if (mismatches.length > 0) {
+		throw new Error(`Signed transaction does not match the unsigned transaction, ${mismatches.join(', ')} differ.`);
+	}
+
+	return parsed;
+}
+
+// Describes the decoded call when given, otherwise the call as described in the file.
+function describeTransaction({ data, decoded }) {
+	const { transaction, call } = data;
+
+	const lines = [];
+	if (decoded) {
+		lines.push(`call: ${decoded.contract}.${decoded.signature} (decoded from data)`);
+		decoded.args.map(arg => lines.push(`  ${arg.name || arg.type}: ${formatLogArg(arg)}`));
+	} else if (call) {
+		lines.push(`call: ${call.contract}.${call.signature}`);
+		lines.push(`args: ${JSON.stringify(call.args)}`);
+	}
+	lines.push(`from: ${data.from}`);
+	lines.push(`to: ${transaction.to}`);
+	lines.push(`value: ${ethers.utils.formatEther(transaction.value || '0')} ETH`);
+	lines.push(`nonce: ${transaction.nonce}`);
+	lines.push(`gas limit: ${transaction.gasLimit}`);
+	lines.push(`gas price: ${ethers.utils.formatUnits(transaction.gasPrice, 'gwei')} gwei`);
+	lines.push(`chain id: ${transaction.chainId}`);
+	lines.push(`data: ${transaction.data}`);
+
+	return lines;
+}
+
+module.exports = {
+	writeTxFile,
+	readTxFile,
+	serializeTransaction,
+	deserializeTransaction,
+	buildTransaction,
+	decodeTransaction,
+	parseSignedTransaction,
+	describeTransaction,
+};